@@ -13,7 +13,19 @@ import {
   updateHookToV3Command,
   upgradeHookCommand,
   cleanupCommand,
-  debugCommand
+  debugCommand,
+  adminRenameCommand,
+  adminMergeCommand,
+  adminDeleteCommand,
+  adminResetTokenCommand,
+  adminSetTeamCommand,
+  adminUnsetTeamCommand,
+  daemonStartCommand,
+  daemonStopCommand,
+  daemonStatusCommand,
+  daemonRunCommand,
+  backfillCommand,
+  localCommand
 } from '../src/commands/index.js';
 import { normalizeServerUrl } from '../src/utils/config.js';
 
@@ -37,6 +49,13 @@ program
   .option('-u, --user <username>', 'View specific user stats')
   .action(statsCommand);
 
+// 本地统计
+program
+  .command('local')
+  .description('Compute usage statistics from local session files without the server')
+  .option('--json', 'Output as JSON')
+  .action(localCommand);
+
 // 打开 Dashboard
 program
   .command('dashboard')
@@ -100,6 +119,80 @@ program
   .option('-l, --logs', 'Show recent log entries')
   .action(debugCommand);
 
+// 回填历史记录
+program
+  .command('backfill')
+  .description('Upload historical usage from all session files, ignoring the local dedup state')
+  .option('--since <date>', 'Only include records on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only include records on or before this date (YYYY-MM-DD)')
+  .option('--dry-run', 'Show what would be uploaded without sending anything')
+  .option('-f, --force', 'Skip confirmation')
+  .action(backfillCommand);
+
+// 后台同步服务
+const daemon = program
+  .command('daemon')
+  .description('Run a background sync daemon that watches session files and uploads in batches');
+
+daemon
+  .command('start')
+  .description('Start the sync daemon in the background')
+  .action(daemonStartCommand);
+
+daemon
+  .command('stop')
+  .description('Stop the sync daemon')
+  .action(daemonStopCommand);
+
+daemon
+  .command('status')
+  .description('Show sync daemon status')
+  .action(daemonStatusCommand);
+
+daemon
+  .command('run', { hidden: true })
+  .description('Run the sync daemon in the foreground')
+  .action(daemonRunCommand);
+
+// 管理员命令
+const admin = program
+  .command('admin')
+  .description('Admin operations on leaderboard users (requires ADMIN_SECRET on server)')
+  .option('--secret <secret>', 'Admin secret (or set CLAUDE_STATS_ADMIN_SECRET)')
+  .option('--server <url>', 'Server URL (defaults to configured server)');
+
+admin
+  .command('rename <from> <to>')
+  .description('Rename a user')
+  .action((from, to, options, cmd) => adminRenameCommand(from, to, { ...cmd.parent.opts(), ...options }));
+
+admin
+  .command('merge <source> <target>')
+  .description('Merge all data of <source> into <target> and remove <source>')
+  .option('-f, --force', 'Skip confirmation')
+  .action((source, target, options, cmd) => adminMergeCommand(source, target, { ...cmd.parent.opts(), ...options }));
+
+admin
+  .command('delete <username>')
+  .description('Delete a user and all of their usage data')
+  .option('-f, --force', 'Skip confirmation')
+  .action((username, options, cmd) => adminDeleteCommand(username, { ...cmd.parent.opts(), ...options }));
+
+admin
+  .command('reset-token <username>')
+  .description('Issue a new upload token for a user')
+  .action((username, options, cmd) => adminResetTokenCommand(username, { ...cmd.parent.opts(), ...options }));
+
+admin
+  .command('set-team <username> <team>')
+  .description('Assign a user to a team (overrides the team reported by the client)')
+  .action((username, team, options, cmd) => adminSetTeamCommand(username, team, { ...cmd.parent.opts(), ...options }));
+
+admin
+  .command('unset-team <username>')
+  .description('Remove a user from their team')
+  .action((username, options, cmd) => adminUnsetTeamCommand(username, { ...cmd.parent.opts(), ...options }));
+
 // 默认命令 - 显示帮助或状态
 program
   .action(async () => {
@@ -7,7 +7,7 @@
 // 3. 进度报告
 // 4. 更好的错误恢复
 
-import { readFile, readdir, writeFile, copyFile, rename, unlink, open, stat, appendFile } from 'node:fs/promises';
+import { readFile, readdir, writeFile, copyFile, rename, unlink, stat, appendFile } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import path from 'node:path';
 import process from 'node:process';
@@ -16,6 +16,9 @@ import https from 'node:https';
 import http from 'node:http';
 import crypto from 'node:crypto';
 import { collectNewUsageData } from './shared/data-collector.js';
+import { DedupIndex, migrateRecentHashes } from './shared/dedup-index.js';
+import { FileLock } from './shared/file-lock.js';
+import { pokeDaemon } from './shared/daemon-client.js';
 
 // 获取用户主目录和 Claude 配置目录
 const USER_HOME_DIR = homedir();
@@ -49,10 +52,11 @@ const TIMEOUTS = {
   REQUEST: 10000,    // 单个请求10秒
 };
 
+// LOCK_FILE 锁的有效时间：同步先重试缓冲区再上传新数据，两个阶段各自最多 TIMEOUTS.TOTAL
+// 持有锁的进程退出后锁立即失效，不依赖这个时间
+const LOCK_STALE_TIME = 2 * TIMEOUTS.TOTAL + 60 * 1000;
+
 const MAX_RETRIES = 3;
-const LOCK_TIMEOUT = 5000;
-const LOCK_STALE_TIME = 10000;
-const RETENTION_DAYS = 30;
 const MAX_LOG_SIZE = 10 * 1024 * 1024;
 
 // ============ 工具类 ============
@@ -64,7 +68,8 @@ class StatsLogger {
   }
   
   async log(level, message, data = {}) {
-    if (!this.enabled) return;
+    // 警告（如服务器返回的预算告警）即使未开启调试也记录
+    if (!this.enabled && level !== 'warn') return;
     
     const entry = {
       timestamp: new Date().toISOString(),
@@ -95,69 +100,6 @@ class StatsLogger {
   }
 }
 
-class FileLock {
-  constructor(lockFile) {
-    this.lockFile = lockFile;
-    this.acquired = false;
-  }
-  
-  async acquire(timeout = LOCK_TIMEOUT) {
-    const startTime = Date.now();
-    
-    while (Date.now() - startTime < timeout) {
-      try {
-        // 检查是否有过期的锁
-        if (existsSync(this.lockFile)) {
-          const lockContent = await readFile(this.lockFile, 'utf-8');
-          const lockData = JSON.parse(lockContent);
-          const lockAge = Date.now() - new Date(lockData.timestamp).getTime();
-          
-          if (lockAge > LOCK_STALE_TIME) {
-            // 锁已过期，删除它
-            await unlink(this.lockFile);
-          } else {
-            // 锁还有效，等待后重试
-            await new Promise(r => setTimeout(r, 100));
-            continue;
-          }
-        }
-        
-        // 尝试创建锁文件
-        const fd = await open(this.lockFile, 'wx');
-        const lockData = JSON.stringify({
-          pid: process.pid,
-          timestamp: new Date().toISOString()
-        });
-        await writeFile(this.lockFile, lockData);
-        await fd.close();
-        
-        this.acquired = true;
-        return true;
-      } catch (error) {
-        if (error.code === 'EEXIST') {
-          // 锁已存在，等待后重试
-          await new Promise(r => setTimeout(r, 100));
-        } else {
-          throw error;
-        }
-      }
-    }
-    
-    return false;
-  }
-  
-  async release() {
-    if (this.acquired) {
-      try {
-        await unlink(this.lockFile);
-        this.acquired = false;
-      } catch {
-        // 文件可能已被删除
-      }
-    }
-  }
-}
-
 // ============ 核心功能 ============
 
 async function atomicWriteJson(filePath, data) {
@@ -169,21 +111,21 @@ async function atomicWriteJson(filePath, data) {
 async function loadStateWithValidation() {
   try {
     if (!existsSync(STATE_FILE)) {
-      return { recentHashes: {}, lastCleanup: new Date().toISOString() };
+      return { fileOffsets: {}, lastCleanup: new Date().toISOString() };
     }
     
     const content = await readFile(STATE_FILE, 'utf-8');
     const state = JSON.parse(content);
     
-    // 验证状态结构
-    if (!state.recentHashes || typeof state.recentHashes !== 'object') {
-      state.recentHashes = {};
+    // 验证状态结构（旧版本的 recentHashes 由 loadDedupIndex 迁移）
+    if (!state.fileOffsets || typeof state.fileOffsets !== 'object') {
+      state.fileOffsets = {};
     }
     
     return state;
   } catch (error) {
     // 状态文件损坏，创建新的
-    return { recentHashes: {}, lastCleanup: new Date().toISOString() };
+    return { fileOffsets: {}, lastCleanup: new Date().toISOString() };
   }
 }
 
@@ -196,10 +138,15 @@ async function loadBuffer() {
   }
 }
 
-async function saveToBuffer(entries) {
+// 将上传失败的记录追加到缓冲区（已在缓冲区中的记录不重复添加）
+async function appendToBuffer(entries) {
+  const buffer = await loadBuffer();
+  const pendingEntries = buffer?.pendingEntries || [];
+  const buffered = new Set(pendingEntries.map(entry => entry.interaction_hash));
+  
   const bufferData = {
-    pendingEntries: entries,
-    retryCount: 0,
+    pendingEntries: [...pendingEntries, ...entries.filter(entry => !buffered.has(entry.interaction_hash))],
+    retryCount: buffer?.retryCount || 0,
     lastAttempt: new Date().toISOString()
   };
   
@@ -281,8 +228,14 @@ async function sendToServerOptimized(config, entries, timeout = TIMEOUTS.REQUEST
     timeout
   };
   
+  // 携带注册时获取的 token，服务器据此校验用户名
+  if (config.token) {
+    options.headers['Authorization'] = `Bearer ${config.token}`;
+  }
+  
   const payload = JSON.stringify({
     username: config.username,
+    team: config.team,
     usage: entries
   });
   
@@ -328,7 +281,8 @@ async function sendBatchOptimized(config, entries, options = {}) {
     chunkSize = CHUNK_SIZES.NORMAL,
     logger = null,
     maxRetries = MAX_RETRIES,
-    showProgress = true
+    showProgress = true,
+    onProgress = null // 每批完成后调用 onProgress({ processed, sent, total })
   } = options;
   
   const startTime = Date.now();
@@ -396,6 +350,13 @@ async function sendBatchOptimized(config, entries, options = {}) {
         success = true;
         totalSent += chunk.data.length;
         
+        // 记录服务器返回的警告（如预算告警）
+        if (logger) {
+          for (const warning of result.result?.warnings || []) {
+            await logger.log('warn', 'Server warning', warning);
+          }
+        }
+        
         // 记录成功的索引
         for (let j = chunk.startIndex; j < chunk.endIndex; j++) {
           successfulIndices.add(j);
@@ -431,6 +392,10 @@ async function sendBatchOptimized(config, entries, options = {}) {
       }
     }
     
+    if (onProgress) {
+      onProgress({ processed: chunk.endIndex, sent: totalSent, total: entries.length });
+    }
+    
     // 大批次间添加延迟
     if (chunkSize >= CHUNK_SIZES.LARGE && success) {
       await new Promise(r => setTimeout(r, 200));
@@ -482,6 +447,9 @@ async function processLargeBuffer(config, logger) {
     showProgress: true
   });
   
+  // 服务器已接受的记录加入去重索引
+  await markSubmitted(entries, result.failedEntries);
+  
   // 处理结果
   if (result.success) {
     await clearBuffer();
@@ -515,59 +483,110 @@ async function processLargeBuffer(config, logger) {
 
 // ============ 状态管理功能 ============
 
-// 更新状态文件
-async function updateState(state, entries) {
-  if (entries.length === 0) return;
-  
-  // 按日期分组记录哈希
-  for (const entry of entries) {
-    const dayKey = entry.timestamp.split('T')[0];
-    
-    if (!state.recentHashes[dayKey]) {
-      state.recentHashes[dayKey] = [];
-    }
-    
-    state.recentHashes[dayKey].push(entry.interaction_hash);
+// 加载去重索引，旧版本状态文件中的 recentHashes 迁移到索引后从状态文件移除
+async function loadDedupIndex(state, logger) {
+  const index = await DedupIndex.load();
+  
+  if (state.recentHashes) {
+    const migrated = await migrateRecentHashes(state, index);
+    await atomicWriteJson(STATE_FILE, state);
+    await logger.log('info', 'Migrated recent hashes to dedup index', {
+      migrated,
+      indexSize: index.size
+    });
   }
   
-  // 清理过期的哈希（保留30天）
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - RETENTION_DAYS);
-  const cutoffKey = cutoffDate.toISOString().split('T')[0];
+  return index;
+}
+
+// 将服务器已接受的记录（entries 中除 failedEntries 以外的记录）加入去重索引
+async function markSubmitted(entries, failedEntries, dedupIndex = null) {
+  const failedHashes = new Set(failedEntries.map(entry => entry.interaction_hash));
+  const index = dedupIndex || await DedupIndex.load();
   
-  for (const dayKey in state.recentHashes) {
-    if (dayKey < cutoffKey) {
-      delete state.recentHashes[dayKey];
+  for (const entry of entries) {
+    if (!failedHashes.has(entry.interaction_hash)) {
+      index.add(entry.interaction_hash);
     }
   }
-  
+  await index.save();
+}
+
+// 保存状态文件（文件读取位置已由数据收集更新到 state.fileOffsets）
+async function updateState(state) {
   state.lastCleanup = new Date().toISOString();
-  
-  // 保存状态文件
   await atomicWriteJson(STATE_FILE, state);
 }
 
 // 收集新数据（使用共享模块）
+// 只收集不保存：上传结果确定后由调用方更新去重索引和读取位置
 async function collectNewUsageDataWithState(logger) {
-  // 加载状态文件
+  // 加载状态文件和去重索引
   const state = await loadStateWithValidation();
+  const dedupIndex = await loadDedupIndex(state, logger);
+  const previousOffsets = JSON.stringify(state.fileOffsets);
   
   // 使用共享的数据收集功能
-  const allEntries = await collectNewUsageData(state, logger);
-  
-  // 更新状态文件
-  if (allEntries.length > 0) {
-    await updateState(state, allEntries);
-  }
+  const entries = await collectNewUsageData(state, logger, dedupIndex);
   
-  return allEntries;
+  return {
+    entries,
+    state,
+    dedupIndex,
+    offsetsChanged: JSON.stringify(state.fileOffsets) !== previousOffsets
+  };
 }
 
 // ============ 主流程 ============
 
+// 收集并上传数据（Hook 和后台同步服务共用，调用方需持有 LOCK_FILE 锁）
+async function syncUsageData(config, logger) {
+  // 分析缓冲区
+  const analysis = await analyzeBuffer();
+  
+  if (analysis.strategy !== 'normal') {
+    // 处理大缓冲区
+    const result = await processLargeBuffer(config, logger);
+    return { collected: 0, sent: result.processed, failed: result.remaining };
+  }
+  
+  // 正常流程：先重试缓冲区中上传失败的记录，再收集和发送新数据
+  await logger.log('info', 'Normal processing mode');
+  const retried = analysis.entries > 0
+    ? await processLargeBuffer(config, logger)
+    : { processed: 0, remaining: 0 };
+  
+  const { entries: newEntries, state, dedupIndex, offsetsChanged } = await collectNewUsageDataWithState(logger);
+  if (newEntries.length === 0) {
+    // 没有新记录但读取位置变化时也需要保存
+    if (offsetsChanged) {
+      await updateState(state);
+    }
+    return { collected: 0, sent: retried.processed, failed: retried.remaining };
+  }
+  
+  const result = await sendBatchOptimized(config, newEntries, {
+    chunkSize: CHUNK_SIZES.NORMAL,
+    logger
+  });
+  
+  // 失败的记录先写入缓冲区，之后才能推进读取位置；只有服务器已接受的记录加入去重索引
+  if (result.failedEntries.length > 0) {
+    await appendToBuffer(result.failedEntries);
+  }
+  await markSubmitted(newEntries, result.failedEntries, dedupIndex);
+  await updateState(state);
+  
+  return {
+    collected: newEntries.length,
+    sent: retried.processed + result.totalSent,
+    failed: retried.remaining + result.failedCount
+  };
+}
+
 async function main() {
   const logger = new StatsLogger();
-  const lock = new FileLock(LOCK_FILE);
+  const lock = new FileLock(LOCK_FILE, { staleTime: LOCK_STALE_TIME });
   
   try {
     // 读取配置
@@ -583,6 +602,12 @@ async function main() {
       process.exit(0);
     }
     
+    // 后台同步服务运行时只通知它收集数据
+    if (await pokeDaemon()) {
+      await logger.log('info', 'Poked sync daemon');
+      process.exit(0);
+    }
+    
     // 获取锁
     if (!await lock.acquire()) {
       await logger.log('info', 'Another instance is running, skipping');
@@ -590,28 +615,7 @@ async function main() {
     }
     
     await logger.log('info', 'Hook v3 started');
-    
-    // 分析缓冲区
-    const analysis = await analyzeBuffer();
-    
-    if (analysis.strategy !== 'normal') {
-      // 处理大缓冲区
-      await processLargeBuffer(config, logger);
-    } else {
-      // 正常流程：收集和发送新数据
-      await logger.log('info', 'Normal processing mode');
-      const newEntries = await collectNewUsageDataWithState(logger);
-      if (newEntries.length > 0) {
-        const result = await sendBatchOptimized(config, newEntries, {
-          chunkSize: CHUNK_SIZES.NORMAL,
-          logger
-        });
-        
-        if (!result.success && result.failedEntries.length > 0) {
-          await saveToBuffer(result.failedEntries);
-        }
-      }
-    }
+    await syncUsageData(config, logger);
     
     process.exit(0);
   } catch (error) {
@@ -631,7 +635,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 }
 
 export { 
+  LOCK_FILE,
+  LOCK_STALE_TIME,
+  CHUNK_SIZES,
+  StatsLogger,
   sendBatchOptimized,
   processLargeBuffer,
-  analyzeBuffer
+  analyzeBuffer,
+  syncUsageData
 };
\ No newline at end of file
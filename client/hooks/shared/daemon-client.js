@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// 后台同步服务的本地通信 - Hook 和 CLI 通过本地 socket 向服务发送命令
+// 协议：每个连接发送一行 JSON 命令，服务返回一行 JSON 后关闭连接
+
+import net from 'node:net';
+import path from 'node:path';
+import process from 'node:process';
+import { homedir, userInfo } from 'node:os';
+
+const DAEMON_PID_FILE = path.join(homedir(), '.claude', 'stats-daemon.pid');
+const DAEMON_LOG_FILE = path.join(homedir(), '.claude', 'stats-daemon.log');
+const DAEMON_SOCKET = process.platform === 'win32'
+  ? `\\\\.\\pipe\\claude-stats-daemon-${userInfo().username}`
+  : path.join(homedir(), '.claude', 'stats-daemon.sock');
+
+const DEFAULT_TIMEOUT = 1000;
+
+// 发送命令并等待响应，服务未运行或超时返回 null
+function sendDaemonCommand(command, data = {}, timeout = DEFAULT_TIMEOUT) {
+  return new Promise((resolve) => {
+    const socket = net.createConnection(DAEMON_SOCKET);
+    let response = '';
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => finish(null), timeout);
+
+    socket.setEncoding('utf-8');
+    socket.on('connect', () => {
+      socket.write(JSON.stringify({ command, ...data }) + '\n');
+    });
+    socket.on('data', (chunk) => {
+      response += chunk;
+      const newline = response.indexOf('\n');
+      if (newline !== -1) {
+        try {
+          finish(JSON.parse(response.slice(0, newline)));
+        } catch {
+          finish(null);
+        }
+      }
+    });
+    socket.on('error', () => finish(null));
+    socket.on('close', () => finish(null));
+  });
+}
+
+// 通知服务有新的会话数据，服务正在运行时返回 true
+async function pokeDaemon(timeout = 500) {
+  const response = await sendDaemonCommand('poke', {}, timeout);
+  return response?.ok === true;
+}
+
+export {
+  DAEMON_PID_FILE,
+  DAEMON_LOG_FILE,
+  DAEMON_SOCKET,
+  sendDaemonCommand,
+  pokeDaemon
+};
@@ -3,8 +3,8 @@
 // 数据收集工具模块 - 共享给所有Hook版本使用
 // 避免代码重复，遵循DRY原则
 
-import { readFile, readdir, stat } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
+import { readdir, stat } from 'node:fs/promises';
+import { createReadStream, existsSync, readdirSync } from 'node:fs';
 import path from 'node:path';
 import process from 'node:process';
 import { homedir } from 'node:os';
@@ -49,8 +49,95 @@ async function findJsonlFiles(dir) {
   return files;
 }
 
+// Claude Code 将项目路径中的非字母数字字符替换为 '-' 作为 projects 下的目录名
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+// 从文件系统还原目录名对应的项目路径（原路径中的 '-'、'.'、'_' 等都被编码为 '-'，无法直接反解）
+// 逐级在父目录中查找编码后能匹配剩余部分的最长目录名，找不到时返回 null
+function decodeProjectDir(dirName) {
+  const encodedParts = dirName.replace(/^-/, '');
+  let current = path.parse(process.cwd()).root;
+  let remaining = encodedParts;
+  
+  while (remaining) {
+    let entries;
+    try {
+      entries = readdirSync(current, { withFileTypes: true });
+    } catch {
+      return null;
+    }
+    
+    const match = entries
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .filter(name => {
+        const encoded = encodeProjectPath(name);
+        return remaining === encoded || remaining.startsWith(`${encoded}-`);
+      })
+      .sort((a, b) => b.length - a.length)[0];
+    
+    if (!match) return null;
+    
+    current = path.join(current, match);
+    remaining = remaining.slice(encodeProjectPath(match).length + 1);
+  }
+  
+  return current;
+}
+
+// 项目名称缓存（同一目录下的文件共用）
+const projectNameCache = new Map();
+
+// 确定记录所属项目（项目根目录的名称）
+// 优先使用 JSONL 中的 cwd：cwd 或其上级目录编码后与项目目录名一致时即为项目根目录；
+// 没有 cwd 时从目录名还原，都失败时退回目录名本身
+function resolveProjectName(projectDir, cwd) {
+  if (!projectDir) return null;
+  
+  const cacheKey = `${projectDir}\0${cwd || ''}`;
+  if (projectNameCache.has(cacheKey)) {
+    return projectNameCache.get(cacheKey);
+  }
+  
+  let projectRoot = null;
+  
+  if (cwd) {
+    for (let dir = cwd; ; dir = path.dirname(dir)) {
+      if (encodeProjectPath(dir) === projectDir) {
+        projectRoot = dir;
+        break;
+      }
+      if (path.dirname(dir) === dir) break;
+    }
+  }
+  
+  if (!projectRoot) {
+    projectRoot = decodeProjectDir(projectDir);
+  }
+  
+  const name = projectRoot ? path.basename(projectRoot) : projectDir.replace(/^-+/, '');
+  projectNameCache.set(cacheKey, name || null);
+  return name || null;
+}
+
+// 统计助手消息中各工具（tool_use 块）的调用次数
+function countToolUses(content) {
+  const tools = {};
+  if (!Array.isArray(content)) return tools;
+  
+  for (const block of content) {
+    if (block?.type === 'tool_use' && typeof block.name === 'string') {
+      tools[block.name] = (tools[block.name] || 0) + 1;
+    }
+  }
+  return tools;
+}
+
 // 解析使用数据
-function parseUsageFromLine(line) {
+// projectDir 为 projects 下的项目目录名，用于确定记录所属项目
+function parseUsageFromLine(line, projectDir = null) {
   try {
     const data = JSON.parse(line.trim());
     
@@ -75,38 +162,100 @@ function parseUsageFromLine(line) {
       },
       model: data.message.model || 'unknown',
       session_id: data.sessionId || null,
-      interaction_hash: interactionHash
+      interaction_hash: interactionHash,
+      project: resolveProjectName(projectDir, data.cwd),
+      git_branch: data.gitBranch || null,
+      cwd: data.cwd || null,
+      client_version: data.version || null,
+      tools: countToolUses(data.message.content)
     };
   } catch {
     return null;
   }
 }
 
-// 解析单个JSONL文件
-async function parseJsonlFile(filePath, state, logger) {
+// 逐行读取文件 [start, end) 范围内以换行结尾的行，offset 为该行结束（含换行）后的字节位置
+// 末尾没有换行的内容可能仍在写入，不读取，下次从该行开头继续
+async function* readCompleteLines(filePath, start, end) {
+  const stream = createReadStream(filePath, { start, end: end - 1 });
+  let remainder = Buffer.alloc(0);
+  let offset = start;
+  
+  for await (const chunk of stream) {
+    const buffer = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+    let lineStart = 0;
+    let newline;
+    
+    while ((newline = buffer.indexOf(0x0a, lineStart)) !== -1) {
+      offset += newline - lineStart + 1;
+      yield { line: buffer.toString('utf-8', lineStart, newline), offset };
+      lineStart = newline + 1;
+    }
+    
+    remainder = buffer.subarray(lineStart);
+  }
+}
+
+// 确定本次从哪个字节开始读取：新文件、被替换（inode 变化）或被截断的文件从头读取
+function getReadOffset(previous, fileStat) {
+  if (!previous) return 0;
+  if (previous.inode !== fileStat.ino) return 0;
+  if (fileStat.size < previous.offset) return 0;
+  return previous.offset;
+}
+
+// 解析单个JSONL文件（只读取上次读取位置之后追加的行）
+// 每个文件的 inode、大小和已读取的字节位置记录在 state.fileOffsets 中
+// projectDir 默认为文件所在目录名；提供 dedupIndex 时跳过索引中已有的记录
+async function parseJsonlFile(filePath, state, logger, projectDir = path.basename(path.dirname(filePath)), dedupIndex = null) {
   const entries = [];
+  state.fileOffsets ||= {};
   
   try {
-    const content = await readFile(filePath, 'utf-8');
-    const lines = content.trim().split('\n').filter(line => line.length > 0);
+    const fileStat = await stat(filePath);
+    const start = getReadOffset(state.fileOffsets[filePath], fileStat);
     
-    for (const line of lines) {
-      const entry = parseUsageFromLine(line);
+    // 没有新内容时不读取文件
+    if (start === fileStat.size) {
+      return entries;
+    }
+    
+    if (start === 0 && state.fileOffsets[filePath] && logger) {
+      await logger.log('debug', 'JSONL file rotated or truncated, rereading', {
+        file: path.basename(filePath)
+      });
+    }
+    
+    let offset = start;
+    let lineCount = 0;
+    
+    for await (const { line, offset: lineEnd } of readCompleteLines(filePath, start, fileStat.size)) {
+      offset = lineEnd;
+      if (line.trim().length === 0) continue;
+      lineCount++;
+      
+      const entry = parseUsageFromLine(line, projectDir);
       if (!entry) continue;
       
-      // 检查是否已处理过（基于哈希去重）
-      const dayKey = entry.timestamp.split('T')[0]; // YYYY-MM-DD
-      if (state.recentHashes[dayKey]?.includes(entry.interaction_hash)) {
+      // 检查是否已处理过（基于哈希去重，文件被重新读取时避免重复提交）
+      if (dedupIndex?.has(entry.interaction_hash)) {
         continue; // 跳过已处理的记录
       }
       
       entries.push(entry);
     }
     
+    state.fileOffsets[filePath] = {
+      inode: fileStat.ino,
+      size: fileStat.size,
+      offset
+    };
+    
     if (entries.length > 0 && logger) {
       await logger.log('debug', 'Parsed JSONL file', {
         file: path.basename(filePath),
-        totalLines: lines.length,
+        fromOffset: start,
+        newLines: lineCount,
         validEntries: entries.length
       });
     }
@@ -123,7 +272,8 @@ async function parseJsonlFile(filePath, state, logger) {
 }
 
 // 收集新的使用数据
-async function collectNewUsageData(state, logger) {
+// dedupIndex 为本地去重索引（见 dedup-index.js），不提供时不去重
+async function collectNewUsageData(state, logger, dedupIndex = null) {
   const claudePaths = getClaudePaths();
   if (claudePaths.length === 0) {
     if (logger) await logger.log('warn', 'No Claude config directories found');
@@ -131,6 +281,7 @@ async function collectNewUsageData(state, logger) {
   }
   
   const allEntries = [];
+  const seenFiles = new Set();
   
   if (logger) await logger.log('info', 'Starting data collection', {
     claudePaths: claudePaths.length
@@ -147,7 +298,10 @@ async function collectNewUsageData(state, logger) {
       });
       
       for (const file of jsonlFiles) {
-        const entries = await parseJsonlFile(file, state, logger);
+        seenFiles.add(file);
+        // 项目目录是 projects 下的第一级目录（子目录中的文件也归属该项目）
+        const [projectDir, ...rest] = path.relative(projectsDir, file).split(path.sep);
+        const entries = await parseJsonlFile(file, state, logger, rest.length > 0 ? projectDir : null, dedupIndex);
         allEntries.push(...entries);
       }
     } catch (error) {
@@ -158,6 +312,13 @@ async function collectNewUsageData(state, logger) {
     }
   }
   
+  // 移除已删除文件的读取位置
+  for (const file of Object.keys(state.fileOffsets || {})) {
+    if (!seenFiles.has(file) && !existsSync(file)) {
+      delete state.fileOffsets[file];
+    }
+  }
+  
   if (logger) {
     if (allEntries.length > 0) {
       await logger.log('info', 'Data collection completed', {
@@ -171,10 +332,25 @@ async function collectNewUsageData(state, logger) {
   return allEntries;
 }
 
+// 读取全部 JSONL 记录（不使用读取位置和去重索引）
+// 恢复的会话会把历史消息复制到新文件中，相同交互哈希只保留一条
+async function collectAllUsageData(logger) {
+  const entries = await collectNewUsageData({ fileOffsets: {} }, logger);
+  const seen = new Set();
+  
+  return entries.filter(entry => {
+    if (seen.has(entry.interaction_hash)) return false;
+    seen.add(entry.interaction_hash);
+    return true;
+  });
+}
+
 export { 
   getClaudePaths, 
   findJsonlFiles, 
+  resolveProjectName,
   parseUsageFromLine, 
   parseJsonlFile,
-  collectNewUsageData 
+  collectNewUsageData,
+  collectAllUsageData
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+// 本地去重索引 - 永久记录已提交的 interaction_hash
+// 索引文件为升序排列的 64 位键（interaction_hash 的前 16 个十六进制字符），每条记录 8 字节
+// 查询时二分查找，新增的键在保存时归并写入
+// 索引大小随已提交记录数线性增长（100 万条约 8MB），不设上限也不淘汰旧记录：
+// 固定大小的布隆过滤器存在误判，会把未提交的记录当作已提交而永久丢弃
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { homedir } from 'node:os';
+
+const DEDUP_INDEX_FILE = path.join(homedir(), '.claude', 'stats-dedup.idx');
+const KEY_SIZE = 8;
+
+// interaction_hash（sha256 十六进制）转换为 64 位键
+function toKey(hash) {
+  return BigInt(`0x${hash.slice(0, KEY_SIZE * 2)}`);
+}
+
+class DedupIndex {
+  constructor(filePath = DEDUP_INDEX_FILE, buffer = Buffer.alloc(0)) {
+    this.filePath = filePath;
+    this.buffer = buffer;
+    this.pending = new Set();
+  }
+
+  // 加载索引文件，不存在或损坏（长度不是键长度的整数倍）时返回空索引
+  static async load(filePath = DEDUP_INDEX_FILE) {
+    if (!existsSync(filePath)) {
+      return new DedupIndex(filePath);
+    }
+
+    const buffer = await readFile(filePath);
+    if (buffer.length % KEY_SIZE !== 0) {
+      return new DedupIndex(filePath);
+    }
+    return new DedupIndex(filePath, buffer);
+  }
+
+  // 索引中的记录数（包含尚未保存的）
+  get size() {
+    return this.buffer.length / KEY_SIZE + this.pending.size;
+  }
+
+  // 在已保存的键中二分查找
+  hasSavedKey(key) {
+    let low = 0;
+    let high = this.buffer.length / KEY_SIZE - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >>> 1;
+      const value = this.buffer.readBigUInt64BE(mid * KEY_SIZE);
+      if (value === key) return true;
+      if (value < key) low = mid + 1;
+      else high = mid - 1;
+    }
+    return false;
+  }
+
+  has(hash) {
+    const key = toKey(hash);
+    return this.pending.has(key) || this.hasSavedKey(key);
+  }
+
+  add(hash) {
+    const key = toKey(hash);
+    if (!this.hasSavedKey(key)) {
+      this.pending.add(key);
+    }
+  }
+
+  // 将新增的键归并到已保存的键中并原子写入索引文件
+  async save() {
+    if (this.pending.size === 0) return;
+
+    const added = [...this.pending].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const savedCount = this.buffer.length / KEY_SIZE;
+    const merged = Buffer.alloc((savedCount + added.length) * KEY_SIZE);
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    while (i < savedCount || j < added.length) {
+      const saved = i < savedCount ? this.buffer.readBigUInt64BE(i * KEY_SIZE) : null;
+      if (j >= added.length || (saved !== null && saved < added[j])) {
+        merged.writeBigUInt64BE(saved, k++ * KEY_SIZE);
+        i++;
+      } else {
+        merged.writeBigUInt64BE(added[j++], k++ * KEY_SIZE);
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    await writeFile(tempPath, merged);
+    await rename(tempPath, this.filePath);
+
+    this.buffer = merged;
+    this.pending.clear();
+  }
+}
+
+// 将 stats-state.json 中按日期记录的 recentHashes 迁移到索引
+// 返回迁移的哈希数，迁移后从 state 中移除 recentHashes
+async function migrateRecentHashes(state, index) {
+  let migrated = 0;
+  for (const hashes of Object.values(state.recentHashes || {})) {
+    if (!Array.isArray(hashes)) continue;
+    for (const hash of hashes) {
+      if (typeof hash !== 'string') continue;
+      index.add(hash);
+      migrated++;
+    }
+  }
+
+  await index.save();
+  delete state.recentHashes;
+  return migrated;
+}
+
+export {
+  DEDUP_INDEX_FILE,
+  DedupIndex,
+  migrateRecentHashes
+};
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+// 文件锁 - Hook 的互斥锁和后台服务的 PID 文件共用
+// 锁文件内容为 { pid, timestamp }，持有进程已退出或超过 staleTime 的锁视为过期
+
+import { readFile, writeFile, unlink, open } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import process from 'node:process';
+
+const LOCK_TIMEOUT = 5000;
+const LOCK_STALE_TIME = 10000;
+
+// 检查进程是否存在（EPERM 表示进程存在但属于其他用户）
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+class FileLock {
+  // staleTime 为锁的最长有效时间，长期持有的锁（如 PID 文件）传入 Infinity
+  constructor(lockFile, { staleTime = LOCK_STALE_TIME } = {}) {
+    this.lockFile = lockFile;
+    this.staleTime = staleTime;
+    this.acquired = false;
+  }
+
+  // 读取仍然有效的锁信息，没有锁或锁已过期时返回 null
+  static async read(lockFile, staleTime = LOCK_STALE_TIME) {
+    try {
+      const lockData = JSON.parse(await readFile(lockFile, 'utf-8'));
+      const lockAge = Date.now() - new Date(lockData.timestamp).getTime();
+
+      if (lockAge > staleTime || !isProcessAlive(lockData.pid)) {
+        return null;
+      }
+      return lockData;
+    } catch {
+      return null;
+    }
+  }
+
+  async acquire(timeout = LOCK_TIMEOUT) {
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < timeout) {
+      try {
+        // 检查是否有过期的锁
+        if (existsSync(this.lockFile)) {
+          const lockContent = await readFile(this.lockFile, 'utf-8');
+          const lockData = JSON.parse(lockContent);
+          const lockAge = Date.now() - new Date(lockData.timestamp).getTime();
+
+          if (lockAge > this.staleTime || !isProcessAlive(lockData.pid)) {
+            // 锁已过期或持有进程已退出，删除它
+            await unlink(this.lockFile);
+          } else {
+            // 锁还有效，等待后重试
+            await new Promise(r => setTimeout(r, 100));
+            continue;
+          }
+        }
+
+        // 尝试创建锁文件
+        const fd = await open(this.lockFile, 'wx');
+        const lockData = JSON.stringify({
+          pid: process.pid,
+          timestamp: new Date().toISOString()
+        });
+        await writeFile(this.lockFile, lockData);
+        await fd.close();
+
+        this.acquired = true;
+        return true;
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          // 锁已存在，等待后重试
+          await new Promise(r => setTimeout(r, 100));
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  async release() {
+    if (this.acquired) {
+      try {
+        await unlink(this.lockFile);
+        this.acquired = false;
+      } catch {
+        // 文件可能已被删除
+      }
+    }
+  }
+}
+
+export {
+  FileLock,
+  isProcessAlive
+};
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+// 数据收集性能基准：对比每次 Stop hook 全量重读 JSONL 与按字节位置增量读取的耗时
+// 用法: node scripts/benchmark-ingestion.js [--size-mb 1024] [--dir <目录>] [--keep]
+
+import { mkdir, readFile, rm, appendFile } from 'fs/promises';
+import { createWriteStream, existsSync } from 'fs';
+import { once } from 'events';
+import path from 'path';
+import { tmpdir } from 'os';
+import { performance } from 'perf_hooks';
+import {
+  findJsonlFiles,
+  parseUsageFromLine,
+  collectNewUsageData
+} from '../hooks/shared/data-collector.js';
+
+const FILE_SIZE = 8 * 1024 * 1024; // 每个会话文件约 8MB
+const PROJECT_COUNT = 20;
+const PADDING = 'x'.repeat(3000); // 模拟消息中的工具输出内容
+const APPENDED_FILES = 5; // 增量测试中追加内容的文件数
+const APPENDED_LINES = 20; // 每个文件追加的行数
+
+function parseArgs(argv) {
+  const options = {
+    sizeMb: 1024,
+    dir: path.join(tmpdir(), 'claude-stats-benchmark'),
+    keep: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--size-mb') options.sizeMb = Number(argv[++i]);
+    else if (argv[i] === '--dir') options.dir = path.resolve(argv[++i]);
+    else if (argv[i] === '--keep') options.keep = true;
+  }
+
+  if (!Number.isFinite(options.sizeMb) || options.sizeMb <= 0) {
+    throw new Error('--size-mb 必须是正数');
+  }
+  return options;
+}
+
+let lineCounter = 0;
+
+function createLine(projectPath, sessionId, time) {
+  lineCounter++;
+  return JSON.stringify({
+    timestamp: new Date(time).toISOString(),
+    sessionId,
+    requestId: `req_${lineCounter}`,
+    cwd: projectPath,
+    gitBranch: 'main',
+    version: '1.0.0',
+    message: {
+      id: `msg_${lineCounter}`,
+      model: 'claude-sonnet-4-20250514',
+      content: [{ type: 'text', text: PADDING }],
+      usage: {
+        input_tokens: 100,
+        output_tokens: 200,
+        cache_creation_input_tokens: 1000,
+        cache_read_input_tokens: 5000
+      }
+    }
+  }) + '\n';
+}
+
+// 生成合成的 projects 目录
+async function generateProjects(projectsDir, totalBytes) {
+  const fileCount = Math.max(1, Math.ceil(totalBytes / FILE_SIZE));
+  const fileSize = Math.min(FILE_SIZE, totalBytes);
+  let time = Date.now() - 30 * 24 * 60 * 60 * 1000;
+
+  for (let i = 0; i < fileCount; i++) {
+    const projectPath = `/home/bench/project-${i % PROJECT_COUNT}`;
+    const projectDir = path.join(projectsDir, projectPath.replace(/[^a-zA-Z0-9]/g, '-'));
+    await mkdir(projectDir, { recursive: true });
+
+    const sessionId = `session-${i}`;
+    const stream = createWriteStream(path.join(projectDir, `${sessionId}.jsonl`));
+    let written = 0;
+
+    while (written < fileSize) {
+      const line = createLine(projectPath, sessionId, time += 1000);
+      written += Buffer.byteLength(line);
+      if (!stream.write(line)) {
+        await once(stream, 'drain');
+      }
+    }
+
+    stream.end();
+    await once(stream, 'finish');
+    process.stdout.write(`\r  已生成 ${i + 1}/${fileCount} 个文件`);
+  }
+  process.stdout.write('\n');
+}
+
+// 旧的实现：每次读取并解析全部文件
+async function legacyFullScan(projectsDir) {
+  let entries = 0;
+  for (const file of await findJsonlFiles(projectsDir)) {
+    const content = await readFile(file, 'utf-8');
+    const projectDir = path.basename(path.dirname(file));
+    for (const line of content.trim().split('\n')) {
+      if (line.length > 0 && parseUsageFromLine(line, projectDir)) entries++;
+    }
+  }
+  return entries;
+}
+
+// 向部分文件追加新记录，模拟两次 Stop hook 之间产生的对话
+async function appendNewLines(projectsDir) {
+  const files = (await findJsonlFiles(projectsDir)).slice(0, APPENDED_FILES);
+  for (const file of files) {
+    const lines = [];
+    for (let i = 0; i < APPENDED_LINES; i++) {
+      lines.push(createLine('/home/bench/project-0', path.basename(file, '.jsonl'), Date.now() + i));
+    }
+    await appendFile(file, lines.join(''));
+  }
+  return files.length * APPENDED_LINES;
+}
+
+async function measure(label, fn) {
+  const start = performance.now();
+  const result = await fn();
+  const elapsed = performance.now() - start;
+  console.log(`  ${label.padEnd(24)} ${elapsed.toFixed(0).padStart(8)} ms  (${result} 条记录)`);
+  return elapsed;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const projectsDir = path.join(options.dir, 'projects');
+
+  console.log(`📁 基准目录: ${options.dir}`);
+  if (existsSync(projectsDir)) {
+    console.log('  使用已有的合成数据');
+  } else {
+    console.log(`  生成约 ${options.sizeMb}MB 的合成数据...`);
+    await generateProjects(projectsDir, options.sizeMb * 1024 * 1024);
+  }
+
+  // 数据收集从 CLAUDE_CONFIG_DIR 查找 projects 目录
+  process.env.CLAUDE_CONFIG_DIR = options.dir;
+  const state = { recentHashes: {}, fileOffsets: {} };
+
+  console.log('\n⏱️  耗时');
+  await measure('全量重读（旧）', () => legacyFullScan(projectsDir));
+  await measure('增量读取（首次）', async () => (await collectNewUsageData(state)).length);
+  await measure('增量读取（无新内容）', async () => (await collectNewUsageData(state)).length);
+
+  const appended = await appendNewLines(projectsDir);
+  console.log(`\n  向 ${appended / APPENDED_LINES} 个文件追加了 ${appended} 条记录`);
+  const legacyAfterAppend = await measure('全量重读（旧）', () => legacyFullScan(projectsDir));
+  const incremental = await measure('增量读取', async () => (await collectNewUsageData(state)).length);
+
+  console.log(`\n🚀 追加新记录后的加速: ${(legacyAfterAppend / incremental).toFixed(1)}x`);
+
+  if (!options.keep) {
+    await rm(options.dir, { recursive: true, force: true });
+    console.log('🧹 已删除合成数据（使用 --keep 保留）');
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ 基准测试失败:', error.message);
+  process.exit(1);
+});
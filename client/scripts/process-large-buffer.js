@@ -18,6 +18,7 @@ async function sendBatch(config, batch) {
     const url = new URL(config.serverUrl + '/api/usage/submit');
     const postData = JSON.stringify({
       username: config.username,
+      team: config.team,
       usage: batch
     });
 
@@ -33,6 +34,10 @@ async function sendBatch(config, batch) {
       timeout: 10000
     };
 
+    if (config.token) {
+      options.headers['Authorization'] = `Bearer ${config.token}`;
+    }
+
     const req = https.request(options, (res) => {
       let responseData = '';
       res.on('data', chunk => responseData += chunk);
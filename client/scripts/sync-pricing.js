@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+// 将服务器的价格表 server/config/pricing.json 复制到客户端 src/utils/pricing.json
+// 发布前由 prepublishOnly 自动运行；更新服务器价格表后也可手动运行 npm run sync-pricing
+// 用法: node scripts/sync-pricing.js [--check]（--check 只检查是否一致，不一致时退出码为 1）
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_PRICING = path.join(__dirname, '..', '..', 'server', 'config', 'pricing.json');
+const CLIENT_PRICING = path.join(__dirname, '..', 'src', 'utils', 'pricing.json');
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+
+  let source;
+  try {
+    source = await readFile(SERVER_PRICING, 'utf-8');
+    JSON.parse(source);
+  } catch (error) {
+    console.error(`Cannot read server pricing table ${SERVER_PRICING}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const current = await readFile(CLIENT_PRICING, 'utf-8').catch(() => null);
+  if (current === source) {
+    console.log(`Pricing table is up to date (version ${JSON.parse(source).version})`);
+    return;
+  }
+
+  if (checkOnly) {
+    console.error('Client pricing table differs from server/config/pricing.json, run `npm run sync-pricing`');
+    process.exit(1);
+  }
+
+  await writeFile(CLIENT_PRICING, source);
+  console.log(`Updated client pricing table to version ${JSON.parse(source).version}`);
+}
+
+main();
@@ -0,0 +1,185 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { loadConfig, normalizeServerUrl } from '../utils/config.js';
+import { adminRequest } from '../utils/api.js';
+
+// 解析管理员连接参数：服务器地址和管理员密钥
+async function resolveAdminContext(options = {}) {
+  const config = await loadConfig();
+  const serverUrl = options.server || config?.serverUrl;
+  
+  if (!serverUrl) {
+    console.log(chalk.red('❌ 未指定服务器地址'));
+    console.log(chalk.gray('请使用 --server 指定，或先运行 `claude-stats init` 进行配置'));
+    return null;
+  }
+  
+  let secret = options.secret || process.env.CLAUDE_STATS_ADMIN_SECRET;
+  if (!secret) {
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'secret',
+        message: '请输入管理员密钥:',
+        mask: '*',
+        validate: input => input ? true : '管理员密钥不能为空'
+      }
+    ]);
+    secret = answers.secret;
+  }
+  
+  return { serverUrl: normalizeServerUrl(serverUrl), secret };
+}
+
+// 输出管理员接口错误
+function printAdminError(action, result) {
+  if (result.status === 0) {
+    console.error(chalk.red(`❌ ${action}失败:`), result.data.error);
+    console.log(chalk.gray('请检查服务器是否正常运行'));
+    return;
+  }
+  
+  const message = result.data.details
+    ? `${result.data.error} (${result.data.details})`
+    : result.data.error || `HTTP ${result.status}`;
+  console.error(chalk.red(`❌ ${action}失败:`), message);
+  
+  if (result.status === 401) {
+    console.log(chalk.gray('管理员密钥不正确'));
+  } else if (result.status === 503) {
+    console.log(chalk.gray('服务器未设置 ADMIN_SECRET，管理员接口未启用'));
+  }
+}
+
+// 重命名用户
+export async function adminRenameCommand(from, to, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'POST',
+    `/users/${encodeURIComponent(from)}/rename`, { newUsername: to });
+  
+  if (!result.ok) {
+    printAdminError('重命名', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已将 ${chalk.cyan(from)} 重命名为 ${chalk.cyan(to)}`));
+  console.log(chalk.gray(`  迁移记录: ${result.data.records} 条`));
+}
+
+// 合并用户
+export async function adminMergeCommand(source, target, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  if (!options.force) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `确定要将 ${source} 的全部数据合并到 ${target} 吗？${source} 将被删除`,
+        default: false
+      }
+    ]);
+    
+    if (!confirm) {
+      console.log(chalk.gray('操作已取消'));
+      return;
+    }
+  }
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'POST',
+    `/users/${encodeURIComponent(source)}/merge`, { into: target });
+  
+  if (!result.ok) {
+    printAdminError('合并', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已将 ${chalk.cyan(source)} 合并到 ${chalk.cyan(target)}`));
+  console.log(chalk.gray(`  迁移记录: ${result.data.records} 条`));
+}
+
+// 删除用户
+export async function adminDeleteCommand(username, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  if (!options.force) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `确定要删除用户 ${username} 及其全部使用记录吗？此操作不可恢复`,
+        default: false
+      }
+    ]);
+    
+    if (!confirm) {
+      console.log(chalk.gray('操作已取消'));
+      return;
+    }
+  }
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'DELETE',
+    `/users/${encodeURIComponent(username)}`);
+  
+  if (!result.ok) {
+    printAdminError('删除', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已删除用户 ${chalk.cyan(username)}`));
+  console.log(chalk.gray(`  删除记录: ${result.data.records} 条`));
+}
+
+// 重置用户 token
+export async function adminResetTokenCommand(username, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'POST',
+    `/users/${encodeURIComponent(username)}/token`);
+  
+  if (!result.ok) {
+    printAdminError('重置 token', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已为 ${chalk.cyan(username)} 签发新 token（旧 token 已失效）`));
+  console.log(`  ${chalk.yellow(result.data.token)}`);
+  console.log(chalk.gray('  请将其写入该用户 ~/.claude/stats-config.json 的 token 字段'));
+}
+
+// 设置用户所属团队（管理员设置优先于客户端上报）
+export async function adminSetTeamCommand(username, team, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'PUT',
+    `/users/${encodeURIComponent(username)}/team`, { team });
+  
+  if (!result.ok) {
+    printAdminError('设置团队', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已将 ${chalk.cyan(username)} 加入团队 ${chalk.cyan(team)}`));
+}
+
+// 移除用户的团队归属
+export async function adminUnsetTeamCommand(username, options = {}) {
+  const context = await resolveAdminContext(options);
+  if (!context) return;
+  
+  const result = await adminRequest(context.serverUrl, context.secret, 'DELETE',
+    `/users/${encodeURIComponent(username)}/team`);
+  
+  if (!result.ok) {
+    printAdminError('移除团队', result);
+    return;
+  }
+  
+  console.log(chalk.green(`✓ 已移除 ${chalk.cyan(username)} 的团队归属`));
+}
@@ -0,0 +1,250 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import path from 'path';
+import { readFile, writeFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { loadConfig, normalizeServerUrl, CONFIG_DIR } from '../utils/config.js';
+import { collectAllUsageData } from '../../hooks/shared/data-collector.js';
+import { DedupIndex } from '../../hooks/shared/dedup-index.js';
+import { FileLock } from '../../hooks/shared/file-lock.js';
+import { CHUNK_SIZES, LOCK_FILE, LOCK_STALE_TIME, sendBatchOptimized } from '../../hooks/count_tokens_v3.js';
+
+// 未完成的回填：元数据和已上传记录的哈希索引，全部上传成功后删除
+const BACKFILL_PROGRESS_FILE = path.join(CONFIG_DIR, 'stats-backfill.json');
+const BACKFILL_INDEX_FILE = path.join(CONFIG_DIR, 'stats-backfill.idx');
+// 每上传一段记录保存一次进度，中断后最多重复上传一段（服务器按交互哈希去重）
+const SEGMENT_SIZE = 2000;
+const PROGRESS_BAR_WIDTH = 30;
+// 等待 Hook 或后台同步服务释放锁的时间，超时的段不计入进度，重新运行时再次上传和标记
+const MARK_LOCK_TIMEOUT = 30 * 1000;
+
+function formatNumber(num) {
+  return (num || 0).toLocaleString('zh-CN');
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('zh-CN');
+}
+
+// 解析日期参数：YYYY-MM-DD 按本地日期处理（--until 包含当天），其他格式交给 Date 解析
+function parseDateOption(value, isEnd = false) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  if (isEnd) date.setDate(day + 1);
+  return date;
+}
+
+// 扫描所有 JSONL 文件（不使用读取位置和去重索引），返回时间范围内的记录
+async function scanEntries(since, until) {
+  const entries = await collectAllUsageData(null);
+
+  return entries
+    .filter(entry => {
+      const time = new Date(entry.timestamp);
+      if (since && time < since) return false;
+      if (until && time >= until) return false;
+      return true;
+    })
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// 加载未完成回填的已上传记录，服务器或用户名变化时不再沿用
+async function loadProgress(config) {
+  try {
+    const progress = JSON.parse(await readFile(BACKFILL_PROGRESS_FILE, 'utf-8'));
+    if (progress.serverUrl === normalizeServerUrl(config.serverUrl) && progress.username === config.username) {
+      return { progress, index: await DedupIndex.load(BACKFILL_INDEX_FILE) };
+    }
+  } catch {
+    // 没有未完成的回填
+  }
+  return { progress: null, index: new DedupIndex(BACKFILL_INDEX_FILE) };
+}
+
+async function clearProgress() {
+  for (const file of [BACKFILL_PROGRESS_FILE, BACKFILL_INDEX_FILE]) {
+    if (existsSync(file)) await unlink(file);
+  }
+}
+
+// 将已上传的记录加入 Hook 的去重索引，避免 Hook 重新读取文件时再次提交
+// 无法获取锁时返回 false
+async function markSubmitted(entries) {
+  const lock = new FileLock(LOCK_FILE, { staleTime: LOCK_STALE_TIME });
+  if (!await lock.acquire(MARK_LOCK_TIMEOUT)) return false;
+
+  try {
+    const index = await DedupIndex.load();
+    entries.forEach(entry => index.add(entry.interaction_hash));
+    await index.save();
+    return true;
+  } finally {
+    await lock.release();
+  }
+}
+
+function printSummary(entries, pending) {
+  const totals = { input: 0, output: 0, cache_creation: 0, cache_read: 0 };
+  const sessions = new Set();
+  const projects = new Set();
+
+  for (const entry of entries) {
+    for (const key of Object.keys(totals)) totals[key] += entry.tokens[key];
+    if (entry.session_id) sessions.add(entry.session_id);
+    if (entry.project) projects.add(entry.project);
+  }
+  const totalTokens = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+  console.log(chalk.blue('📋 回填摘要'));
+  console.log(chalk.gray('─'.repeat(40)));
+  console.log(`${chalk.gray('时间范围:')} ${formatDate(entries[0].timestamp)} ~ ${formatDate(entries[entries.length - 1].timestamp)}`);
+  console.log(`${chalk.gray('记录数:')} ${formatNumber(entries.length)} 条`);
+  console.log(`${chalk.gray('会话数:')} ${formatNumber(sessions.size)}`);
+  console.log(`${chalk.gray('项目数:')} ${formatNumber(projects.size)}`);
+  console.log(`${chalk.gray('总 Token:')} ${chalk.cyan(formatNumber(totalTokens))}`);
+  console.log(`  ${chalk.gray('输入:')} ${formatNumber(totals.input)}`);
+  console.log(`  ${chalk.gray('输出:')} ${formatNumber(totals.output)}`);
+  console.log(`  ${chalk.gray('缓存创建:')} ${formatNumber(totals.cache_creation)}`);
+  console.log(`  ${chalk.gray('缓存读取:')} ${formatNumber(totals.cache_read)}`);
+
+  if (pending.length < entries.length) {
+    console.log(`${chalk.gray('上次已上传:')} ${formatNumber(entries.length - pending.length)} 条`);
+  }
+  console.log(`${chalk.gray('待上传:')} ${chalk.cyan(formatNumber(pending.length))} 条`);
+}
+
+function renderProgress(done, total, sent) {
+  const ratio = total > 0 ? done / total : 1;
+  const filled = Math.round(ratio * PROGRESS_BAR_WIDTH);
+  const bar = chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(PROGRESS_BAR_WIDTH - filled));
+  process.stdout.write(`\r  ${bar} ${(ratio * 100).toFixed(1)}% ${formatNumber(done)}/${formatNumber(total)}（成功 ${formatNumber(sent)}）`);
+}
+
+// 回填历史会话记录
+export async function backfillCommand(options = {}) {
+  const config = await loadConfig();
+
+  if (!config?.serverUrl) {
+    console.log(chalk.red('❌ 未找到配置'));
+    console.log(chalk.gray('请先运行 `claude-stats init` 进行配置'));
+    return;
+  }
+
+  const since = options.since ? parseDateOption(options.since) : null;
+  const until = options.until ? parseDateOption(options.until, true) : null;
+
+  if ((options.since && !since) || (options.until && !until)) {
+    console.log(chalk.red(`❌ 无效的日期: ${options.since && !since ? options.since : options.until}`));
+    console.log(chalk.gray('请使用 YYYY-MM-DD 格式'));
+    process.exitCode = 1;
+    return;
+  }
+
+  if (since && until && since >= until) {
+    console.log(chalk.red('❌ --since 必须早于 --until'));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(chalk.gray('扫描会话记录...'));
+  const entries = await scanEntries(since, until);
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('⚠️  没有找到符合条件的记录'));
+    return;
+  }
+
+  const { progress, index } = await loadProgress(config);
+  const pending = entries.filter(entry => !index.has(entry.interaction_hash));
+
+  console.log();
+  printSummary(entries, pending);
+  console.log();
+
+  if (options.dryRun) {
+    console.log(chalk.gray('--dry-run 模式，未上传任何数据'));
+    return;
+  }
+
+  if (pending.length === 0) {
+    await clearProgress();
+    console.log(chalk.green('✓ 所有记录都已上传'));
+    return;
+  }
+
+  if (!options.force) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `确定要上传 ${formatNumber(pending.length)} 条记录到 ${normalizeServerUrl(config.serverUrl)} 吗?`,
+        default: true
+      }
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.gray('已取消'));
+      return;
+    }
+  }
+
+  await writeFile(BACKFILL_PROGRESS_FILE, JSON.stringify({
+    serverUrl: normalizeServerUrl(config.serverUrl),
+    username: config.username,
+    since: options.since || null,
+    until: options.until || null,
+    startedAt: progress?.startedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  }, null, 2));
+
+  let sent = 0;
+  let failed = 0;
+  let unmarked = 0;
+  renderProgress(0, pending.length, 0);
+
+  for (let start = 0; start < pending.length; start += SEGMENT_SIZE) {
+    const segment = pending.slice(start, start + SEGMENT_SIZE);
+    const result = await sendBatchOptimized(config, segment, {
+      chunkSize: CHUNK_SIZES.LARGE,
+      showProgress: false,
+      onProgress: ({ processed, sent: segmentSent }) => renderProgress(start + processed, pending.length, sent + segmentSent)
+    });
+
+    const failedHashes = new Set(result.failedEntries.map(entry => entry.interaction_hash));
+    const succeeded = segment.filter(entry => !failedHashes.has(entry.interaction_hash));
+    if (await markSubmitted(succeeded)) {
+      succeeded.forEach(entry => index.add(entry.interaction_hash));
+      await index.save();
+    } else {
+      unmarked += succeeded.length;
+    }
+
+    sent += result.totalSent;
+    failed += result.failedCount;
+  }
+  process.stdout.write('\n');
+
+  if (failed > 0 || unmarked > 0) {
+    if (failed > 0) {
+      console.log(chalk.yellow(`⚠️  上传 ${formatNumber(sent)} 条，${formatNumber(failed)} 条失败`));
+    }
+    if (unmarked > 0) {
+      console.log(chalk.yellow(`⚠️  ${formatNumber(unmarked)} 条已上传的记录未能加入去重索引（Hook 或后台同步服务一直占用锁），Hook 之后可能重复提交`));
+    }
+    console.log(chalk.gray('重新运行相同的命令可继续上传剩余记录'));
+    process.exitCode = 1;
+    return;
+  }
+
+  await clearProgress();
+  console.log(chalk.green(`✓ 回填完成，共上传 ${formatNumber(sent)} 条记录`));
+}
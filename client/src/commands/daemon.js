@@ -0,0 +1,147 @@
+import chalk from 'chalk';
+import path from 'path';
+import { spawn } from 'child_process';
+import { openSync, closeSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { loadConfig } from '../utils/config.js';
+import { runDaemon } from '../utils/daemon.js';
+import { FileLock, isProcessAlive } from '../../hooks/shared/file-lock.js';
+import { DAEMON_PID_FILE, DAEMON_LOG_FILE, sendDaemonCommand } from '../../hooks/shared/daemon-client.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CLI_PATH = path.join(__dirname, '..', '..', 'bin', 'cli.js');
+
+const START_TIMEOUT = 5000;
+// 停止时会等待正在进行的同步完成
+const STOP_TIMEOUT = 30000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function formatDate(dateStr) {
+  if (!dateStr) return '-';
+  return new Date(dateStr).toLocaleString('zh-CN');
+}
+
+// 等待条件成立，超时返回 false
+async function waitFor(check, timeout) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    if (await check()) return true;
+    await sleep(200);
+  }
+  return false;
+}
+
+// 启动后台同步服务
+export async function daemonStartCommand() {
+  const running = await sendDaemonCommand('status');
+  if (running?.ok) {
+    console.log(chalk.yellow(`⚠️  后台同步服务已在运行 (PID ${running.status.pid})`));
+    return;
+  }
+
+  const config = await loadConfig();
+  if (!config) {
+    console.log(chalk.red('❌ 未找到配置'));
+    console.log(chalk.gray('请先运行 `claude-stats init` 进行配置'));
+    return;
+  }
+
+  const logFd = openSync(DAEMON_LOG_FILE, 'a');
+  const child = spawn(process.execPath, [CLI_PATH, 'daemon', 'run'], {
+    detached: true,
+    stdio: ['ignore', logFd, logFd]
+  });
+  child.unref();
+  closeSync(logFd);
+
+  let status = null;
+  const started = await waitFor(async () => {
+    status = (await sendDaemonCommand('status'))?.status;
+    return Boolean(status);
+  }, START_TIMEOUT);
+
+  if (!started) {
+    console.log(chalk.red('❌ 后台同步服务启动失败'));
+    console.log(chalk.gray(`请查看日志: ${DAEMON_LOG_FILE}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(chalk.green(`✓ 后台同步服务已启动 (PID ${status.pid})`));
+  console.log(chalk.gray(`  日志: ${DAEMON_LOG_FILE}`));
+  console.log(chalk.gray('  服务运行期间 Hook 只通知服务收集数据，由服务定时批量上传'));
+}
+
+// 停止后台同步服务
+export async function daemonStopCommand() {
+  const lock = await FileLock.read(DAEMON_PID_FILE, Infinity);
+  const response = await sendDaemonCommand('stop');
+
+  if (!response?.ok) {
+    if (!lock) {
+      console.log(chalk.yellow('⚠️  后台同步服务未运行'));
+      return;
+    }
+    // socket 无响应时直接结束进程
+    process.kill(lock.pid, 'SIGTERM');
+  }
+
+  const pid = lock?.pid;
+  const stopped = await waitFor(() => !pid || !isProcessAlive(pid), STOP_TIMEOUT);
+
+  if (!stopped) {
+    console.log(chalk.red(`❌ 后台同步服务 (PID ${pid}) 未能在 ${STOP_TIMEOUT / 1000} 秒内停止`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(chalk.green('✓ 后台同步服务已停止'));
+}
+
+// 查看后台同步服务状态
+export async function daemonStatusCommand() {
+  const response = await sendDaemonCommand('status');
+
+  if (!response?.ok) {
+    const lock = await FileLock.read(DAEMON_PID_FILE, Infinity);
+    if (lock) {
+      console.log(chalk.yellow(`⚠️  后台同步服务进程存在 (PID ${lock.pid})，但没有响应`));
+    } else {
+      console.log(`${chalk.gray('后台同步服务:')} ${chalk.yellow('未运行')}`);
+      console.log(chalk.gray('运行 `claude-stats daemon start` 启动'));
+    }
+    return;
+  }
+
+  const { status } = response;
+  const lastSync = status.lastSync;
+
+  console.log(chalk.blue('🔄 后台同步服务'));
+  console.log(chalk.gray('─'.repeat(40)));
+  console.log(`${chalk.gray('状态:')} ${chalk.green('运行中')} (PID ${status.pid})`);
+  console.log(`${chalk.gray('启动时间:')} ${formatDate(status.startedAt)}`);
+  console.log(`${chalk.gray('监听方式:')} ${status.watchMode === 'recursive' ? '递归监听' : '逐个监听项目目录'}`);
+  status.watching.forEach(dir => console.log(`  ${chalk.gray(dir)}`));
+  console.log(`${chalk.gray('待同步:')} ${status.syncing ? chalk.cyan('正在同步') : status.dirty ? chalk.yellow('有新数据') : '无'}`);
+
+  if (!lastSync) {
+    console.log(`${chalk.gray('上次同步:')} -`);
+  } else if (lastSync.error) {
+    console.log(`${chalk.gray('上次同步:')} ${formatDate(lastSync.at)} ${chalk.red(`失败: ${lastSync.error}`)}`);
+  } else if (lastSync.skipped) {
+    console.log(`${chalk.gray('上次同步:')} ${formatDate(lastSync.at)} ${chalk.yellow('跳过（跟踪已禁用）')}`);
+  } else {
+    console.log(`${chalk.gray('上次同步:')} ${formatDate(lastSync.at)}，上传 ${lastSync.sent} 条` +
+      (lastSync.failed > 0 ? chalk.red(`，失败 ${lastSync.failed} 条`) : ''));
+  }
+
+  console.log(`${chalk.gray('下次检查:')} ${formatDate(status.nextSyncAt)}`);
+  console.log(`${chalk.gray('累计上传:')} ${status.totals.sent} 条（${status.totals.syncs} 次同步）`);
+  console.log(`${chalk.gray('缓冲区待发送:')} ${status.bufferedEntries} 条`);
+}
+
+// 前台运行后台同步服务（由 daemon start 调用）
+export async function daemonRunCommand() {
+  await runDaemon();
+}
@@ -7,6 +7,51 @@ import { readFile, writeFile, unlink, mkdir, stat } from 'fs/promises';
 import { existsSync } from 'fs';
 import { loadConfig, saveConfig, CONFIG_PATH, normalizeServerUrl } from '../utils/config.js';
 import { installHook, uninstallHook, getCurrentHookVersion, cleanupStateFiles } from '../utils/hook-manager.js';
+import { registerUser } from '../utils/api.js';
+import { DedupIndex, DEDUP_INDEX_FILE } from '../../hooks/shared/dedup-index.js';
+
+export * from './admin.js';
+export * from './daemon.js';
+export * from './backfill.js';
+export * from './local.js';
+
+// 向服务器注册用户名，成功时返回 token
+// 用户名和服务器未变化时携带旧 token，以便服务器轮换
+async function obtainToken(config, previousConfig) {
+  const canRotate = previousConfig?.token &&
+    previousConfig.username === config.username &&
+    normalizeServerUrl(previousConfig.serverUrl) === normalizeServerUrl(config.serverUrl);
+  
+  const result = await registerUser(config.serverUrl, config.username, canRotate ? previousConfig.token : null);
+  
+  if (result.ok && result.token) {
+    console.log(chalk.green('✓ 已获取上传 token'));
+    return result.token;
+  }
+  
+  if (result.status === 409 && result.error === 'Username has existing usage data') {
+    console.log(chalk.yellow(`⚠️  用户名 "${config.username}" 在服务器上已有历史数据，需要管理员签发 token`));
+    console.log(chalk.gray('  请联系管理员运行 `claude-stats admin reset-token <username>`，并将 token 写入 ~/.claude/stats-config.json 的 token 字段'));
+  } else if (result.status === 409) {
+    console.log(chalk.yellow(`⚠️  用户名 "${config.username}" 已被注册，无法获取 token`));
+    console.log(chalk.gray('  请更换用户名，或联系管理员重置该用户名的 token'));
+  } else if (result.status === 404) {
+    console.log(chalk.gray('  服务器不支持 token 注册，将以开放模式上传'));
+  } else {
+    console.log(chalk.yellow('⚠️  获取 token 失败:'), result.error || `HTTP ${result.status}`);
+    console.log(chalk.gray('  稍后可运行 `claude-stats init` 重试'));
+  }
+  
+  return null;
+}
+
+// 校验团队名称（可为空）
+function validateTeam(input) {
+  if (input.trim().length > 50) {
+    return '团队名称不能超过 50 个字符';
+  }
+  return true;
+}
 
 // 初始化配置
 export async function initCommand() {
@@ -66,6 +111,13 @@ export async function initCommand() {
         }
       }
     },
+    {
+      type: 'input',
+      name: 'team',
+      message: '请输入您的团队（可选，留空表示不加入团队）:',
+      default: existingConfig?.team || '',
+      validate: validateTeam
+    },
     {
       type: 'confirm',
       name: 'enabled',
@@ -82,6 +134,18 @@ export async function initCommand() {
     createdAt: new Date().toISOString()
   };
   
+  if (answers.team.trim()) {
+    config.team = answers.team.trim();
+  }
+  
+  // 注册用户名并获取上传 token
+  console.log();
+  console.log(chalk.gray('正在向服务器注册用户名...'));
+  const token = await obtainToken(config, existingConfig);
+  if (token) {
+    config.token = token;
+  }
+  
   await saveConfig(config);
   
   // 安装 Hook (使用 v3)
@@ -104,6 +168,9 @@ export async function initCommand() {
   console.log(chalk.gray('配置信息:'));
   console.log(`  用户名: ${chalk.cyan(config.username)}`);
   console.log(`  服务器: ${chalk.cyan(config.serverUrl)}`);
+  if (config.team) {
+    console.log(`  团队: ${chalk.cyan(config.team)}`);
+  }
   console.log(`  状态: ${config.enabled ? chalk.green('启用') : chalk.yellow('禁用')}`);
   console.log();
   console.log(chalk.gray('现在 Claude Code 的使用数据将自动跟踪并上传'));
@@ -146,6 +213,9 @@ export async function statsCommand(options) {
     console.log(`${chalk.gray('总 token 数:')} ${chalk.yellow(formatNumber(stats.totalTokens))}`);
     console.log(`  ${chalk.gray('├─ 输入:')} ${formatNumber(stats.totalInput)}`);
     console.log(`  ${chalk.gray('└─ 输出:')} ${formatNumber(stats.totalOutput)}`);
+    if (stats.totalCost !== undefined) {
+      console.log(`${chalk.gray('总成本:')} ${chalk.yellow(`$${stats.totalCost.toFixed(2)}`)}`);
+    }
     console.log();
     console.log(`${chalk.gray('会话次数:')} ${chalk.cyan(stats.sessionCount)}`);
     console.log(`${chalk.gray('交互次数:')} ${chalk.cyan(stats.recordCount)}`);
@@ -153,6 +223,16 @@ export async function statsCommand(options) {
     console.log(`${chalk.gray('首次使用:')} ${formatDate(stats.firstUse)}`);
     console.log(`${chalk.gray('最近使用:')} ${formatDate(stats.lastUse)}`);
     
+    const projects = (data.projects || []).filter(p => p.project).slice(0, 5);
+    if (projects.length > 0) {
+      console.log();
+      console.log(chalk.gray('项目用量:'));
+      projects.forEach((project, index) => {
+        const prefix = index === projects.length - 1 ? '└─' : '├─';
+        console.log(`  ${chalk.gray(prefix)} ${project.project}: ${chalk.yellow(formatNumber(project.totalTokens))} ${chalk.gray(`($${(project.totalCost || 0).toFixed(2)})`)}`);
+      });
+    }
+    
   } catch (error) {
     console.error(chalk.red('❌ 获取统计失败:'), error.message);
     console.log(chalk.gray('请检查服务器是否正常运行'));
@@ -212,10 +292,10 @@ export async function configCommand(options) {
   }
   
   if (options.show || !options.edit) {
-    // 显示配置
+    // 显示配置（隐藏 token）
     console.log(chalk.blue('📋 当前配置'));
     console.log(chalk.gray('─'.repeat(40)));
-    console.log(JSON.stringify(config, null, 2));
+    console.log(JSON.stringify({ ...config, token: config.token ? '********' : undefined }, null, 2));
     console.log();
     console.log(chalk.gray(`配置文件: ${CONFIG_PATH}`));
     return;
@@ -256,6 +336,13 @@ export async function configCommand(options) {
           }
         }
       },
+      {
+        type: 'input',
+        name: 'team',
+        message: '团队（留空表示不加入团队）:',
+        default: config.team || '',
+        validate: validateTeam
+      },
       {
         type: 'confirm',
         name: 'enabled',
@@ -268,10 +355,23 @@ export async function configCommand(options) {
       ...config,
       username: answers.username,
       serverUrl: answers.serverUrl,
+      team: answers.team.trim() || undefined,
       enabled: answers.enabled,
       updatedAt: new Date().toISOString()
     };
     
+    // 用户名或服务器变化时需要重新注册 token
+    if (newConfig.username !== config.username ||
+        normalizeServerUrl(newConfig.serverUrl) !== normalizeServerUrl(config.serverUrl)) {
+      console.log(chalk.gray('正在向服务器注册用户名...'));
+      const token = await obtainToken(newConfig, config);
+      if (token) {
+        newConfig.token = token;
+      } else {
+        delete newConfig.token;
+      }
+    }
+    
     await saveConfig(newConfig);
     console.log(chalk.green('✓ 配置已更新'));
   }
@@ -597,9 +697,12 @@ export async function debugCommand(options) {
   if (existsSync(STATE_FILE)) {
     try {
       const state = JSON.parse(await readFile(STATE_FILE, 'utf-8'));
-      const hashCount = Object.values(state.recentHashes).flat().length;
       console.log(`${chalk.gray('状态文件:')} ${chalk.green('存在')}`);
-      console.log(`  ${chalk.gray('已处理记录:')} ${hashCount}`);
+      if (state.recentHashes) {
+        const hashCount = Object.values(state.recentHashes).flat().length;
+        console.log(`  ${chalk.gray('待迁移记录:')} ${hashCount}（下次 Hook 运行时迁移到去重索引）`);
+      }
+      console.log(`  ${chalk.gray('已跟踪文件:')} ${Object.keys(state.fileOffsets || {}).length}`);
       console.log(`  ${chalk.gray('最后清理:')} ${formatDate(state.lastCleanup)}`);
     } catch {
       console.log(`${chalk.gray('状态文件:')} ${chalk.red('损坏')}`);
@@ -608,6 +711,17 @@ export async function debugCommand(options) {
     console.log(`${chalk.gray('状态文件:')} ${chalk.yellow('不存在')}`);
   }
   
+  // 检查去重索引
+  if (existsSync(DEDUP_INDEX_FILE)) {
+    const index = await DedupIndex.load();
+    const { size } = await stat(DEDUP_INDEX_FILE);
+    console.log(`${chalk.gray('去重索引:')} ${chalk.green('存在')}`);
+    console.log(`  ${chalk.gray('已处理记录:')} ${formatNumber(index.size)}`);
+    console.log(`  ${chalk.gray('大小:')} ${(size / 1024).toFixed(2)} KB`);
+  } else {
+    console.log(`${chalk.gray('去重索引:')} ${chalk.gray('不存在')}`);
+  }
+  
   // 检查缓冲文件
   if (existsSync(BUFFER_FILE)) {
     try {
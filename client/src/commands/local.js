@@ -0,0 +1,190 @@
+import chalk from 'chalk';
+import { collectAllUsageData } from '../../hooks/shared/data-collector.js';
+import { calculateCost, PRICING_VERSION } from '../utils/pricing.js';
+
+// 终端表格中显示的最近天数和排行数量（--json 输出全部）
+const DAILY_ROWS = 14;
+const TOP_ROWS = 10;
+
+// 全角字符（中文等）在终端中占两列
+const WIDE_CHAR = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/g;
+
+function displayWidth(text) {
+  return text.length + (text.match(WIDE_CHAR) || []).length;
+}
+
+function pad(text, width, alignRight) {
+  const padding = ' '.repeat(Math.max(0, width - displayWidth(text)));
+  return alignRight ? padding + text : text + padding;
+}
+
+function formatNumber(num) {
+  return (num || 0).toLocaleString('zh-CN');
+}
+
+function formatCost(cost) {
+  return `$${cost.toFixed(2)}`;
+}
+
+// 本地日期 YYYY-MM-DD
+function toLocalDate(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// 渲染表格，第一列左对齐，其余列右对齐
+function renderTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[column]))));
+  const line = (cells, color = text => text) => '  ' + cells
+    .map((cell, column) => color(pad(cell, widths[column], column > 0)))
+    .join('  ');
+
+  console.log(line(headers, chalk.gray));
+  console.log(chalk.gray('  ' + widths.map(width => '─'.repeat(width)).join('  ')));
+  rows.forEach(row => console.log(line(row)));
+}
+
+function createBucket() {
+  return {
+    totalTokens: 0,
+    totalInput: 0,
+    totalOutput: 0,
+    totalCacheCreation: 0,
+    totalCacheRead: 0,
+    totalCost: 0,
+    recordCount: 0,
+    sessions: new Set()
+  };
+}
+
+function addToBucket(bucket, entry, cost) {
+  const { input, output, cache_creation, cache_read } = entry.tokens;
+  bucket.totalInput += input;
+  bucket.totalOutput += output;
+  bucket.totalCacheCreation += cache_creation;
+  bucket.totalCacheRead += cache_read;
+  bucket.totalTokens += input + output + cache_creation + cache_read;
+  bucket.totalCost += cost;
+  bucket.recordCount++;
+  if (entry.session_id) bucket.sessions.add(entry.session_id);
+}
+
+// 分组统计转换为输出格式（会话集合换成会话数）
+function finalizeBucket({ sessions, ...bucket }) {
+  return {
+    ...bucket,
+    totalCost: Math.round(bucket.totalCost * 1000000) / 1000000,
+    sessionCount: sessions.size
+  };
+}
+
+function groupBy(map, key, entry, cost) {
+  if (!map.has(key)) map.set(key, createBucket());
+  addToBucket(map.get(key), entry, cost);
+}
+
+// 按总计、日期、模型、项目汇总记录
+function summarize(entries) {
+  const totals = createBucket();
+  const daily = new Map();
+  const models = new Map();
+  const projects = new Map();
+  let firstUse = null;
+  let lastUse = null;
+
+  for (const entry of entries) {
+    const cost = calculateCost(entry);
+    addToBucket(totals, entry, cost);
+    groupBy(daily, toLocalDate(entry.timestamp), entry, cost);
+    groupBy(models, entry.model, entry, cost);
+    groupBy(projects, entry.project, entry, cost);
+
+    if (!firstUse || entry.timestamp < firstUse) firstUse = entry.timestamp;
+    if (!lastUse || entry.timestamp > lastUse) lastUse = entry.timestamp;
+  }
+
+  return {
+    pricingVersion: PRICING_VERSION,
+    stats: { ...finalizeBucket(totals), firstUse, lastUse },
+    daily: [...daily.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, bucket]) => ({ date, ...finalizeBucket(bucket) })),
+    models: [...models.entries()]
+      .map(([model, bucket]) => ({ model, ...finalizeBucket(bucket) }))
+      .sort((a, b) => b.totalCost - a.totalCost),
+    projects: [...projects.entries()]
+      .map(([project, bucket]) => ({ project, ...finalizeBucket(bucket) }))
+      .sort((a, b) => b.totalTokens - a.totalTokens)
+  };
+}
+
+function printSummary(summary) {
+  const { stats } = summary;
+
+  console.log();
+  console.log(chalk.blue('📊 本地使用统计'));
+  console.log(chalk.gray('─'.repeat(40)));
+  console.log(`${chalk.gray('总 token 数:')} ${chalk.yellow(formatNumber(stats.totalTokens))}`);
+  console.log(`  ${chalk.gray('├─ 输入:')} ${formatNumber(stats.totalInput)}`);
+  console.log(`  ${chalk.gray('├─ 输出:')} ${formatNumber(stats.totalOutput)}`);
+  console.log(`  ${chalk.gray('├─ 缓存创建:')} ${formatNumber(stats.totalCacheCreation)}`);
+  console.log(`  ${chalk.gray('└─ 缓存读取:')} ${formatNumber(stats.totalCacheRead)}`);
+  console.log(`${chalk.gray('估算成本:')} ${chalk.yellow(formatCost(stats.totalCost))} ${chalk.gray(`（价格表 ${summary.pricingVersion}）`)}`);
+  console.log(`${chalk.gray('会话次数:')} ${chalk.cyan(stats.sessionCount)}`);
+  console.log(`${chalk.gray('交互次数:')} ${chalk.cyan(stats.recordCount)}`);
+  console.log(`${chalk.gray('首次使用:')} ${new Date(stats.firstUse).toLocaleString('zh-CN')}`);
+  console.log(`${chalk.gray('最近使用:')} ${new Date(stats.lastUse).toLocaleString('zh-CN')}`);
+
+  console.log();
+  console.log(chalk.blue(`📅 最近 ${Math.min(DAILY_ROWS, summary.daily.length)} 天`));
+  renderTable(['日期', 'Token', '成本', '交互', '会话'], summary.daily.slice(-DAILY_ROWS).map(day => [
+    day.date,
+    formatNumber(day.totalTokens),
+    formatCost(day.totalCost),
+    formatNumber(day.recordCount),
+    formatNumber(day.sessionCount)
+  ]));
+
+  console.log();
+  console.log(chalk.blue('🤖 模型'));
+  renderTable(['模型', 'Token', '成本', '交互'], summary.models.slice(0, TOP_ROWS).map(model => [
+    model.model,
+    formatNumber(model.totalTokens),
+    formatCost(model.totalCost),
+    formatNumber(model.recordCount)
+  ]));
+
+  console.log();
+  console.log(chalk.blue('📁 项目'));
+  renderTable(['项目', 'Token', '成本', '会话'], summary.projects.slice(0, TOP_ROWS).map(project => [
+    project.project || '(未知)',
+    formatNumber(project.totalTokens),
+    formatCost(project.totalCost),
+    formatNumber(project.sessionCount)
+  ]));
+}
+
+// 不连接服务器，直接从本地会话记录计算统计
+export async function localCommand(options = {}) {
+  if (!options.json) {
+    console.log(chalk.gray('正在读取本地会话记录...'));
+  }
+
+  const entries = await collectAllUsageData(null);
+  const summary = summarize(entries);
+
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('⚠️  没有找到本地使用记录'));
+    return;
+  }
+
+  printSummary(summary);
+}
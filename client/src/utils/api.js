@@ -0,0 +1,49 @@
+import { normalizeServerUrl } from './config.js';
+
+// 向服务器注册用户名并获取 token
+// 返回 { ok, status, token, error }，网络错误时 status 为 0
+export async function registerUser(serverUrl, username, currentToken) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (currentToken) {
+    headers.Authorization = `Bearer ${currentToken}`;
+  }
+
+  try {
+    const response = await fetch(`${normalizeServerUrl(serverUrl)}/api/usage/register`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ username })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      token: data.token || null,
+      error: data.error || null
+    };
+  } catch (error) {
+    return { ok: false, status: 0, token: null, error: error.message };
+  }
+}
+
+// 调用管理员接口
+// 返回 { ok, status, data }，网络错误时 status 为 0
+export async function adminRequest(serverUrl, secret, method, apiPath, body) {
+  try {
+    const response = await fetch(`${normalizeServerUrl(serverUrl)}/api/admin${apiPath}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Admin-Secret': secret
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  } catch (error) {
+    return { ok: false, status: 0, data: { error: error.message } };
+  }
+}
@@ -0,0 +1,242 @@
+import net from 'net';
+import { watch, existsSync, statSync, readdirSync } from 'fs';
+import { unlink, chmod } from 'fs/promises';
+import path from 'path';
+import { loadConfig } from './config.js';
+import { FileLock } from '../../hooks/shared/file-lock.js';
+import { DAEMON_PID_FILE, DAEMON_SOCKET } from '../../hooks/shared/daemon-client.js';
+import { getClaudePaths } from '../../hooks/shared/data-collector.js';
+import { LOCK_FILE, LOCK_STALE_TIME, StatsLogger, analyzeBuffer, syncUsageData } from '../../hooks/count_tokens_v3.js';
+
+// 有文件变化或 Hook 通知时，每分钟批量上传一次
+const SYNC_INTERVAL = 60 * 1000;
+// 没有变化时也定期同步，重试缓冲区中上传失败的记录并补上漏掉的监听事件
+const FULL_SYNC_INTERVAL = 10 * 60 * 1000;
+// 单条命令的最大长度
+const MAX_COMMAND_SIZE = 64 * 1024;
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+// 监听 projects 目录下的 JSONL 变化
+// 不支持递归监听的平台（Node.js 20 之前的 Linux）逐个监听项目目录，新建的项目目录在出现时加入
+function watchProjects(projectsDirs, onChange) {
+  const watchers = [];
+  const handle = (file) => {
+    if (!file || String(file).endsWith('.jsonl')) onChange();
+  };
+
+  try {
+    for (const dir of projectsDirs) {
+      watchers.push(watch(dir, { recursive: true }, (event, file) => handle(file)));
+    }
+    return { mode: 'recursive', watchers };
+  } catch {
+    watchers.forEach(watcher => watcher.close());
+    watchers.length = 0;
+  }
+
+  const watched = new Set();
+  const watchDirectory = (dir, isRoot = false) => {
+    if (watched.has(dir)) return;
+    try {
+      if (!statSync(dir).isDirectory()) return;
+      watchers.push(watch(dir, (event, file) => {
+        if (isRoot && file) watchDirectory(path.join(dir, String(file)));
+        handle(file);
+      }));
+      watched.add(dir);
+    } catch {
+      // 目录可能已被删除
+    }
+  };
+
+  for (const dir of projectsDirs) {
+    watchDirectory(dir, true);
+    try {
+      for (const entry of readdirSync(dir)) watchDirectory(path.join(dir, entry));
+    } catch {
+      // 忽略无法读取的目录
+    }
+  }
+  return { mode: 'directories', watchers };
+}
+
+// 运行后台同步服务（前台运行，由 `claude-stats daemon start` 以分离进程启动）
+export async function runDaemon() {
+  const pidLock = new FileLock(DAEMON_PID_FILE, { staleTime: Infinity });
+  if (!await pidLock.acquire(1000)) {
+    console.error('Sync daemon is already running');
+    process.exitCode = 1;
+    return;
+  }
+
+  const logger = new StatsLogger();
+  const projectsDirs = getClaudePaths().map(claudePath => path.join(claudePath, 'projects'));
+  const status = {
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    watchMode: null,
+    watching: projectsDirs,
+    dirty: true, // 启动后立即同步一次
+    syncing: false,
+    lastSync: null,
+    totals: { syncs: 0, sent: 0, failed: 0 }
+  };
+  let currentSync = null;
+  let lastSyncAt = 0;
+  let stopping = false;
+
+  const runSync = async () => {
+    const lock = new FileLock(LOCK_FILE, { staleTime: LOCK_STALE_TIME });
+    const startTime = Date.now();
+    status.dirty = false;
+    status.syncing = true;
+
+    try {
+      const config = await loadConfig();
+      if (!config?.enabled || !config.serverUrl) {
+        status.lastSync = { at: new Date().toISOString(), skipped: 'disabled' };
+        return;
+      }
+
+      // Hook 正在运行时（服务启动前已开始的 Hook）下次再同步
+      if (!await lock.acquire()) {
+        status.dirty = true;
+        return;
+      }
+
+      const result = await syncUsageData(config, logger);
+      status.totals.syncs++;
+      status.totals.sent += result.sent;
+      status.totals.failed += result.failed;
+      status.lastSync = {
+        at: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        ...result
+      };
+      if (result.collected > 0 || result.sent > 0 || result.failed > 0) {
+        log(`Synced: collected ${result.collected}, sent ${result.sent}, failed ${result.failed}`);
+      }
+    } catch (error) {
+      status.dirty = true;
+      status.lastSync = { at: new Date().toISOString(), error: error.message };
+      log(`Sync failed: ${error.message}`);
+    } finally {
+      await lock.release();
+      lastSyncAt = Date.now();
+      status.syncing = false;
+    }
+  };
+
+  const scheduleSync = () => {
+    if (stopping || currentSync) return;
+    if (!status.dirty && Date.now() - lastSyncAt < FULL_SYNC_INTERVAL) return;
+
+    currentSync = runSync().finally(() => {
+      currentSync = null;
+    });
+  };
+
+  const getStatus = async () => ({
+    ...status,
+    nextSyncAt: new Date(Math.max(Date.now(), lastSyncAt + SYNC_INTERVAL)).toISOString(),
+    bufferedEntries: (await analyzeBuffer()).entries
+  });
+
+  const { mode, watchers } = watchProjects(projectsDirs, () => {
+    status.dirty = true;
+  });
+  status.watchMode = mode;
+
+  const handleCommand = async (request) => {
+    switch (request.command) {
+      case 'poke':
+        status.dirty = true;
+        return { ok: true };
+      case 'status':
+        return { ok: true, status: await getStatus() };
+      case 'stop':
+        setImmediate(shutdown);
+        return { ok: true };
+      default:
+        return { ok: false, error: 'Unknown command' };
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let data = '';
+    let handled = false;
+    socket.setEncoding('utf-8');
+    socket.on('error', () => {});
+    socket.on('data', async (chunk) => {
+      data += chunk;
+      if (data.length > MAX_COMMAND_SIZE) {
+        socket.destroy();
+        return;
+      }
+
+      const newline = data.indexOf('\n');
+      if (newline === -1 || handled) return;
+      handled = true;
+
+      let response;
+      try {
+        response = await handleCommand(JSON.parse(data.slice(0, newline)));
+      } catch (error) {
+        response = { ok: false, error: error.message };
+      }
+      socket.end(JSON.stringify(response) + '\n');
+    });
+  });
+
+  const timer = setInterval(scheduleSync, SYNC_INTERVAL);
+
+  async function shutdown() {
+    if (stopping) return;
+    stopping = true;
+    log('Stopping sync daemon');
+
+    clearInterval(timer);
+    watchers.forEach(watcher => watcher.close());
+    server.close();
+
+    // 等待正在进行的同步完成，避免读取位置和去重索引不一致
+    if (currentSync) await currentSync;
+
+    if (process.platform !== 'win32') {
+      await unlink(DAEMON_SOCKET).catch(() => {});
+    }
+    await pidLock.release();
+    process.exit(0);
+  }
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  // 上次异常退出遗留的 socket 文件（已持有 PID 锁，不会有其他服务在使用）
+  if (process.platform !== 'win32' && existsSync(DAEMON_SOCKET)) {
+    await unlink(DAEMON_SOCKET);
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(DAEMON_SOCKET, resolve);
+    });
+  } catch (error) {
+    console.error(`Failed to listen on ${DAEMON_SOCKET}: ${error.message}`);
+    clearInterval(timer);
+    watchers.forEach(watcher => watcher.close());
+    await pidLock.release();
+    process.exitCode = 1;
+    return;
+  }
+  if (process.platform !== 'win32') {
+    await chmod(DAEMON_SOCKET, 0o600);
+  }
+
+  log(`Sync daemon started (pid ${process.pid}, watching ${projectsDirs.length} directories, ${mode})`);
+  scheduleSync();
+}
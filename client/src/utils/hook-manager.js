@@ -1,4 +1,4 @@
-import { readFile, writeFile, chmod, unlink, mkdir } from 'fs/promises';
+import { readFile, writeFile, chmod, unlink, mkdir, readdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import path from 'path';
 import { homedir } from 'os';
@@ -95,14 +95,17 @@ async function installSharedModules() {
     await mkdir(sharedDir, { recursive: true });
   }
   
-  // 复制 data-collector.js
-  const collectorSource = path.join(sourceDir, 'data-collector.js');
-  const collectorDest = path.join(sharedDir, 'data-collector.js');
+  if (!existsSync(sourceDir)) {
+    return;
+  }
   
-  if (existsSync(collectorSource)) {
-    const content = await readFile(collectorSource, 'utf-8');
-    await writeFile(collectorDest, content, 'utf-8');
-    await chmod(collectorDest, 0o755);
+  // 复制所有共享模块
+  const modules = (await readdir(sourceDir)).filter(file => file.endsWith('.js'));
+  for (const file of modules) {
+    const dest = path.join(sharedDir, file);
+    const content = await readFile(path.join(sourceDir, file), 'utf-8');
+    await writeFile(dest, content, 'utf-8');
+    await chmod(dest, 0o755);
   }
 }
 
@@ -243,6 +246,9 @@ export async function cleanupStateFiles() {
     path.join(CLAUDE_DIR, 'stats-state.json'),
     path.join(CLAUDE_DIR, 'stats-state.json.backup'),
     path.join(CLAUDE_DIR, 'stats-state.buffer.json'),
+    path.join(CLAUDE_DIR, 'stats-dedup.idx'),
+    path.join(CLAUDE_DIR, 'stats-backfill.json'),
+    path.join(CLAUDE_DIR, 'stats-backfill.idx'),
     path.join(CLAUDE_DIR, 'stats.lock'),
     path.join(CLAUDE_DIR, 'stats-debug.log'),
     path.join(CLAUDE_DIR, 'stats-debug.log.old')
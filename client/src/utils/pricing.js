@@ -0,0 +1,40 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 随客户端发布的价格表（与服务器 config/pricing.json 格式相同，单位为美元/百万 token）
+const PRICING = JSON.parse(readFileSync(path.join(__dirname, 'pricing.json'), 'utf-8'));
+
+// 获取模型价格：精确匹配，其次按 model_patterns 顺序匹配模型系列，都失败时使用默认模型
+export function getModelPricing(model) {
+  if (model && PRICING.models[model]) {
+    return PRICING.models[model];
+  }
+  
+  const modelLower = (model || '').toLowerCase();
+  for (const [pattern, target] of Object.entries(PRICING.model_patterns)) {
+    if (modelLower.includes(pattern)) {
+      return PRICING.models[target];
+    }
+  }
+  
+  return PRICING.models[PRICING.default_model];
+}
+
+// 计算单条记录的成本（美元），entry 为数据收集模块解析出的记录
+export function calculateCost(entry) {
+  const pricing = getModelPricing(entry.model);
+  const { input, output, cache_creation, cache_read } = entry.tokens;
+  
+  return (input * pricing.input +
+    output * pricing.output +
+    cache_creation * pricing.cache_write +
+    cache_read * pricing.cache_read) / 1000000;
+}
+
+// 价格表版本
+// pricing.json 由 scripts/sync-pricing.js 从服务器 config/pricing.json 复制，不要直接编辑：
+// 更新服务器价格表后运行 npm run sync-pricing（发布时 prepublishOnly 会自动同步）
+export const PRICING_VERSION = PRICING.version;
@@ -0,0 +1,87 @@
+// 去重索引测试：键按升序保存，新增的键归并写入，重新加载后仍能查到
+// 运行：npm test
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { DedupIndex, migrateRecentHashes } from '../hooks/shared/dedup-index.js';
+
+let tempDir;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// 读取索引文件中的全部键
+const readKeys = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+  return Array.from({ length: buffer.length / 8 }, (_, index) => buffer.readBigUInt64BE(index * 8));
+};
+
+const isSorted = (keys) => keys.every((key, index) => index === 0 || keys[index - 1] < key);
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-dedup-'));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('saved keys are sorted and found after reloading', async () => {
+  const filePath = path.join(tempDir, 'sorted.idx');
+  const index = await DedupIndex.load(filePath);
+  const hashes = Array.from({ length: 200 }, (_, value) => hash(value));
+
+  hashes.forEach(value => index.add(value));
+  assert.ok(index.has(hashes[0]));
+  await index.save();
+
+  const keys = await readKeys(filePath);
+  assert.equal(keys.length, 200);
+  assert.ok(isSorted(keys));
+
+  const loaded = await DedupIndex.load(filePath);
+  assert.equal(loaded.size, 200);
+  assert.ok(hashes.every(value => loaded.has(value)));
+  assert.equal(loaded.has(hash('missing')), false);
+});
+
+test('new keys are merged into the saved keys without duplicates', async () => {
+  const filePath = path.join(tempDir, 'merge.idx');
+  const index = await DedupIndex.load(filePath);
+  for (let value = 0; value < 100; value += 2) index.add(hash(value));
+  await index.save();
+
+  // 一半是已保存的键
+  for (let value = 0; value < 100; value++) index.add(hash(value));
+  assert.equal(index.size, 100);
+  await index.save();
+
+  const keys = await readKeys(filePath);
+  assert.equal(keys.length, 100);
+  assert.ok(isSorted(keys));
+  assert.ok(Array.from({ length: 100 }, (_, value) => hash(value)).every(value => index.has(value)));
+});
+
+test('corrupted index file loads as empty', async () => {
+  const filePath = path.join(tempDir, 'corrupted.idx');
+  await fs.writeFile(filePath, Buffer.alloc(13));
+
+  const index = await DedupIndex.load(filePath);
+  assert.equal(index.size, 0);
+});
+
+test('recent hashes from old state files are migrated', async () => {
+  const filePath = path.join(tempDir, 'migrate.idx');
+  const state = { fileOffsets: {}, recentHashes: { '2026-01-01': [hash(1), hash(2)], '2026-01-02': [hash(3), 42] } };
+  const index = await DedupIndex.load(filePath);
+
+  assert.equal(await migrateRecentHashes(state, index), 3);
+  assert.equal(state.recentHashes, undefined);
+  const keys = await readKeys(filePath);
+  assert.equal(keys.length, 3);
+  assert.ok(isSorted(keys));
+  assert.ok([1, 2, 3].every(value => index.has(hash(value))));
+});
@@ -0,0 +1,106 @@
+// Hook 同步测试：上传失败的记录写入缓冲区，下次同步先重试缓冲区，成功后才加入去重索引
+// 运行：npm test（使用临时 HOME 和本地 HTTP 服务，不影响 ~/.claude 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+
+// Hook 在加载时根据 HOME 确定状态文件位置
+const tempHome = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-hook-'));
+process.env.HOME = tempHome;
+process.env.CLAUDE_CONFIG_DIR = path.join(tempHome, '.claude');
+
+const { StatsLogger, syncUsageData } = await import('../hooks/count_tokens_v3.js');
+const { DedupIndex } = await import('../hooks/shared/dedup-index.js');
+
+const CLAUDE_DIR = path.join(tempHome, '.claude');
+const SESSION_FILE = path.join(CLAUDE_DIR, 'projects', 'project', 'session.jsonl');
+const BUFFER_FILE = path.join(CLAUDE_DIR, 'stats-state.buffer.json');
+const STATE_FILE = path.join(CLAUDE_DIR, 'stats-state.json');
+
+// 服务器收到的交互哈希；failing 为 true 时返回 500
+const received = [];
+let failing = false;
+let server;
+let config;
+
+const line = (id) => JSON.stringify({
+  timestamp: `2026-01-01T00:00:${String(id).padStart(2, '0')}.000Z`,
+  sessionId: 'session',
+  requestId: `req-${id}`,
+  message: { id: `msg-${id}`, model: 'claude-sonnet-4', usage: { input_tokens: 10, output_tokens: 5 } }
+}) + '\n';
+
+const appendLines = (...ids) => fs.appendFile(SESSION_FILE, ids.map(line).join(''));
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+before(async () => {
+  await fs.mkdir(path.dirname(SESSION_FILE), { recursive: true });
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      if (failing) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end('{"error":"unavailable"}');
+        return;
+      }
+      received.push(...JSON.parse(body).usage.map(entry => entry.interaction_hash));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"success":true,"warnings":[]}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  config = { serverUrl: `http://127.0.0.1:${server.address().port}`, username: 'alice' };
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tempHome, { recursive: true, force: true });
+});
+
+test('failed entries go to the buffer and stay out of the dedup index', async () => {
+  await appendLines(1, 2, 3);
+  failing = true;
+
+  const result = await syncUsageData(config, new StatsLogger());
+  assert.deepEqual(result, { collected: 3, sent: 0, failed: 3 });
+
+  // 记录已在缓冲区中，读取位置可以推进
+  const buffer = await readJson(BUFFER_FILE);
+  assert.equal(buffer.pendingEntries.length, 3);
+  const state = await readJson(STATE_FILE);
+  assert.equal(state.fileOffsets[SESSION_FILE].offset, (await fs.stat(SESSION_FILE)).size);
+
+  const index = await DedupIndex.load();
+  assert.equal(index.size, 0);
+});
+
+test('next sync retries the buffer before sending new entries', async () => {
+  const buffered = (await readJson(BUFFER_FILE)).pendingEntries.map(entry => entry.interaction_hash);
+  await appendLines(4, 5);
+  failing = false;
+
+  const result = await syncUsageData(config, new StatsLogger());
+  assert.deepEqual(result, { collected: 2, sent: 5, failed: 0 });
+  assert.deepEqual(received.slice(0, 3), buffered);
+  assert.equal(received.length, 5);
+  assert.equal(new Set(received).size, 5);
+  assert.equal(existsSync(BUFFER_FILE), false);
+
+  const index = await DedupIndex.load();
+  assert.equal(index.size, 5);
+  assert.ok(received.every(hash => index.has(hash)));
+});
+
+test('sync without new entries sends nothing', async () => {
+  const result = await syncUsageData(config, new StatsLogger());
+  assert.deepEqual(result, { collected: 0, sent: 0, failed: 0 });
+  assert.equal(received.length, 5);
+});
@@ -0,0 +1,98 @@
+// JSONL 读取位置测试：只读取追加的完整行，文件被替换（inode 变化）或截断时从头读取
+// 运行：npm test
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { parseJsonlFile } from '../hooks/shared/data-collector.js';
+import { DedupIndex } from '../hooks/shared/dedup-index.js';
+
+let tempDir;
+
+// Claude Code 会话文件中的一行 assistant 消息
+const line = (id) => JSON.stringify({
+  timestamp: `2026-01-01T00:00:${String(id).padStart(2, '0')}.000Z`,
+  sessionId: 'session',
+  requestId: `req-${id}`,
+  message: { id: `msg-${id}`, model: 'claude-sonnet-4', usage: { input_tokens: 10, output_tokens: 5 } }
+}) + '\n';
+
+const lines = (...ids) => ids.map(line).join('');
+
+const lineIds = (entries) => entries.map(entry => Number(entry.timestamp.slice(17, 19)));
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-offsets-'));
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('partial last line is read once it is complete', async () => {
+  const file = path.join(tempDir, 'partial.jsonl');
+  const partial = line(3);
+  await fs.writeFile(file, lines(1, 2) + partial.slice(0, 20));
+  const state = {};
+
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [1, 2]);
+  assert.equal(state.fileOffsets[file].offset, Buffer.byteLength(lines(1, 2)));
+
+  // 行写完之前再次读取不会得到任何记录
+  assert.deepEqual(await parseJsonlFile(file, state, null), []);
+
+  await fs.appendFile(file, partial.slice(20));
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [3]);
+  assert.deepEqual(await parseJsonlFile(file, state, null), []);
+});
+
+test('only appended lines are read', async () => {
+  const file = path.join(tempDir, 'append.jsonl');
+  await fs.writeFile(file, lines(1, 2));
+  const state = {};
+
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [1, 2]);
+
+  await fs.appendFile(file, lines(3, 4));
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [3, 4]);
+  assert.equal(state.fileOffsets[file].offset, (await fs.stat(file)).size);
+});
+
+test('truncated file is reread from the start', async () => {
+  const file = path.join(tempDir, 'truncate.jsonl');
+  await fs.writeFile(file, lines(1, 2, 3));
+  const state = {};
+  await parseJsonlFile(file, state, null);
+
+  await fs.writeFile(file, lines(4));
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [4]);
+});
+
+test('replaced file is reread from the start even when it is larger', async () => {
+  const file = path.join(tempDir, 'replace.jsonl');
+  await fs.writeFile(file, lines(1));
+  const state = {};
+  await parseJsonlFile(file, state, null);
+  const { inode } = state.fileOffsets[file];
+
+  // 新文件比旧的读取位置长，只能通过 inode 发现被替换
+  const replacement = path.join(tempDir, 'replace.tmp');
+  await fs.writeFile(replacement, lines(5, 6, 7));
+  await fs.rename(replacement, file);
+
+  assert.deepEqual(lineIds(await parseJsonlFile(file, state, null)), [5, 6, 7]);
+  assert.notEqual(state.fileOffsets[file].inode, inode);
+});
+
+test('rereading skips records already in the dedup index', async () => {
+  const file = path.join(tempDir, 'dedup.jsonl');
+  await fs.writeFile(file, lines(1, 2));
+  const index = new DedupIndex(path.join(tempDir, 'dedup.idx'));
+  const first = await parseJsonlFile(file, {}, null, 'project', index);
+  first.forEach(entry => index.add(entry.interaction_hash));
+
+  await fs.appendFile(file, lines(3));
+  assert.deepEqual(lineIds(await parseJsonlFile(file, {}, null, 'project', index)), [3]);
+});
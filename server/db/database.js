@@ -2,7 +2,16 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import path from 'path';
 import fs from 'fs/promises';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import { getDataDir } from '../utils/dataDir.js';
+import { resolveDateRange } from '../utils/dateRange.js';
+import { getDefaultTimeZone, getOffsetSegments, localMidnight, toLocalTime } from '../utils/timezone.js';
+
+// 以 username 为键、需要随用户重命名/合并/删除的表（usage_records 和 users 单独处理）
+const USER_KEYED_TABLES = ['daily_stats', 'user_tokens', 'budgets', 'budget_alerts', 'team_members', 'rank_snapshots', 'user_achievements'];
+// 合并用户时不转移、直接删除的表：source 的 token 不能用来以 target 身份提交，名次也不属于 target
+const MERGE_DISCARDED_TABLES = ['user_tokens', 'rank_snapshots'];
 
 export class Database {
   constructor() {
@@ -10,6 +19,9 @@ export class Database {
     const dataDir = getDataDir();
     this.dbPath = path.join(dataDir, 'stats.db');
     this.db = null;
+    // 所有写操作和事务共用一条连接，按顺序排队执行
+    this.writeQueue = Promise.resolve();
+    this.writeContext = new AsyncLocalStorage();
   }
 
   async init() {
@@ -65,6 +77,7 @@ export class Database {
         model TEXT,
         session_id TEXT,
         interaction_hash TEXT UNIQUE,
+        cost REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -92,12 +105,172 @@ export class Database {
         first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
         total_usage INTEGER DEFAULT 0,
+        total_cost REAL DEFAULT 0,
         session_count INTEGER DEFAULT 0
       )
     `);
 
+    // 创建价格快照表（记录每次价格变化及其生效时间）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pricing_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        effective_from DATETIME NOT NULL,
+        prices TEXT NOT NULL,
+        source TEXT,
+        checksum TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // 旧数据库迁移：补充新增的列
+    await this.ensureColumn('usage_records', 'cost', 'REAL');
+    await this.ensureColumn('users', 'total_cost', 'REAL DEFAULT 0');
+    await this.ensureColumn('usage_records', 'project', 'TEXT');
+    await this.ensureColumn('usage_records', 'git_branch', 'TEXT');
+    await this.ensureColumn('usage_records', 'cwd', 'TEXT');
+    await this.ensureColumn('usage_records', 'client_version', 'TEXT');
+
+    // 创建用户 token 表（只保存 token 哈希）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        username TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // 创建预算表（username 为 NULL 表示团队预算，金额单位 USD）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS budgets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT,
+        period TEXT NOT NULL,
+        limit_usd REAL NOT NULL,
+        timezone_offset INTEGER DEFAULT 0,
+        timezone TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await this.ensureColumn('budgets', 'timezone', 'TEXT');
+
+    // 创建预算告警表（每个预算周期内每个阈值只告警一次）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        budget_id INTEGER NOT NULL,
+        username TEXT,
+        period TEXT NOT NULL,
+        period_start DATETIME NOT NULL,
+        threshold INTEGER NOT NULL,
+        spent REAL NOT NULL,
+        limit_usd REAL NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(budget_id, period_start, threshold)
+      )
+    `);
+
+    // 创建团队成员表（source 为 admin 时表示管理员指定，客户端上报不会覆盖）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS team_members (
+        username TEXT PRIMARY KEY,
+        team TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'client',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // 创建 webhook 订阅表（events 为 JSON 数组）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        url TEXT NOT NULL,
+        format TEXT NOT NULL DEFAULT 'generic',
+        secret TEXT,
+        events TEXT NOT NULL,
+        daily_token_threshold INTEGER,
+        enabled INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // 创建 webhook 投递队列（dedupe_key 防止同一事件重复投递）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        dedupe_key TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        UNIQUE(webhook_id, dedupe_key)
+      )
+    `);
+
+    // 创建工具调用表（每条使用记录中各工具的调用次数）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tool_usage (
+        record_id INTEGER NOT NULL,
+        tool_name TEXT NOT NULL,
+        call_count INTEGER NOT NULL,
+        PRIMARY KEY (record_id, tool_name)
+      )
+    `);
+
+    // 创建排名快照表（period 为 daily / weekly，period_start 为快照时区的本地日期）
+    // rank 为该周期内的 token 排名，overall_rank 为快照时在累计排行榜（user_rankings）中的名次
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rank_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        period TEXT NOT NULL,
+        period_start TEXT NOT NULL,
+        time_zone TEXT NOT NULL,
+        username TEXT NOT NULL,
+        rank INTEGER NOT NULL,
+        total_tokens INTEGER DEFAULT 0,
+        total_cost REAL DEFAULT 0,
+        session_count INTEGER DEFAULT 0,
+        overall_rank INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(period, period_start, username)
+      )
+    `);
+
+    // 创建用户成就表（每个成就每个用户只授予一次）
+    await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        username TEXT NOT NULL,
+        achievement_id TEXT NOT NULL,
+        awarded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (username, achievement_id)
+      )
+    `);
+
     // 创建索引
     await this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_rank_snapshots_user 
+        ON rank_snapshots(username, period, period_start);
+      CREATE INDEX IF NOT EXISTS idx_usage_project 
+        ON usage_records(project);
+      CREATE INDEX IF NOT EXISTS idx_usage_branch 
+        ON usage_records(git_branch);
+      CREATE INDEX IF NOT EXISTS idx_tool_usage_name 
+        ON tool_usage(tool_name);
+      CREATE INDEX IF NOT EXISTS idx_team_members_team 
+        ON team_members(team);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due 
+        ON webhook_deliveries(status, next_attempt_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_scope 
+        ON budgets(COALESCE(username, ''), period);
+      CREATE INDEX IF NOT EXISTS idx_budget_alerts_created 
+        ON budget_alerts(created_at DESC);
       CREATE INDEX IF NOT EXISTS idx_usage_username_time 
         ON usage_records(username, timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_usage_interaction 
@@ -108,18 +281,22 @@ export class Database {
         ON daily_stats(date DESC);
       CREATE INDEX IF NOT EXISTS idx_daily_stats_username 
         ON daily_stats(username);
+      CREATE INDEX IF NOT EXISTS idx_pricing_effective 
+        ON pricing_snapshots(effective_from);
     `);
 
-    // 创建触发器自动维护用户表
+    // 创建触发器自动维护用户表（每次启动重建，以便升级触发器定义）
     await this.db.exec(`
-      CREATE TRIGGER IF NOT EXISTS update_user_stats 
+      DROP TRIGGER IF EXISTS update_user_stats;
+      CREATE TRIGGER update_user_stats 
       AFTER INSERT ON usage_records
       BEGIN
-        INSERT INTO users (username, total_usage, session_count)
-        VALUES (NEW.username, NEW.total_tokens, 1)
+        INSERT INTO users (username, total_usage, total_cost, session_count)
+        VALUES (NEW.username, NEW.total_tokens, COALESCE(NEW.cost, 0), 1)
         ON CONFLICT(username) DO UPDATE SET
           last_seen = CURRENT_TIMESTAMP,
           total_usage = total_usage + NEW.total_tokens,
+          total_cost = total_cost + COALESCE(NEW.cost, 0),
           session_count = session_count + 
             CASE WHEN NEW.session_id NOT IN (
               SELECT DISTINCT session_id FROM usage_records 
@@ -128,12 +305,14 @@ export class Database {
       END;
     `);
 
-    // 创建视图
+    // 创建视图（每次启动重建，以便升级视图定义）
     await this.db.exec(`
-      CREATE VIEW IF NOT EXISTS user_rankings AS
+      DROP VIEW IF EXISTS user_rankings;
+      CREATE VIEW user_rankings AS
       SELECT 
         username,
         total_usage,
+        total_cost,
         session_count,
         RANK() OVER (ORDER BY total_usage DESC) as rank,
         strftime('%Y-%m-%dT%H:%M:%S.000Z', first_seen) as first_seen,
@@ -156,18 +335,78 @@ export class Database {
     `);
   }
 
+  // 为已存在的表补充缺失的列
+  async ensureColumn(table, column, definition) {
+    const columns = await this.db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Added column ${table}.${column}`);
+    }
+  }
+
+  // 获取用户 token 记录
+  async getUserToken(username) {
+    return await this.db.get(
+      'SELECT username, token_hash, created_at FROM user_tokens WHERE username = ?',
+      [username]
+    );
+  }
+
+  // 保存用户 token（已存在则替换）
+  async saveUserToken(username, tokenHash) {
+    await this.run(`
+      INSERT INTO user_tokens (username, token_hash)
+      VALUES (?, ?)
+      ON CONFLICT(username) DO UPDATE SET
+        token_hash = excluded.token_hash,
+        created_at = CURRENT_TIMESTAMP
+    `, [username, tokenHash]);
+  }
+
+  // 获取全部价格快照（按生效时间升序）
+  async getPricingSnapshots() {
+    const rows = await this.db.all(`
+      SELECT id, effective_from, prices, source, created_at
+      FROM pricing_snapshots
+      ORDER BY effective_from ASC, id ASC
+    `);
+    return rows.map(row => ({ ...row, prices: JSON.parse(row.prices) }));
+  }
+
+  // 保存价格快照，价格与最新快照相同时不重复保存
+  async savePricingSnapshot(prices, source, effectiveFrom = new Date().toISOString()) {
+    const checksum = crypto.createHash('sha256').update(stableStringify(prices)).digest('hex');
+    const latest = await this.db.get(`
+      SELECT checksum FROM pricing_snapshots
+      ORDER BY effective_from DESC, id DESC
+      LIMIT 1
+    `);
+
+    if (latest?.checksum === checksum) {
+      return { created: false };
+    }
+
+    const result = await this.run(`
+      INSERT INTO pricing_snapshots (effective_from, prices, source, checksum)
+      VALUES (?, ?, ?, ?)
+    `, [effectiveFrom, JSON.stringify(prices), source, checksum]);
+
+    return { created: true, id: result.lastID };
+  }
+
   // 插入单条使用记录
   async insertUsageRecord(record) {
     const sql = `
       INSERT OR IGNORE INTO usage_records (
         username, timestamp, input_tokens, output_tokens,
         cache_creation_tokens, cache_read_tokens,
-        model, session_id, interaction_hash
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        model, session_id, interaction_hash, cost, project,
+        git_branch, cwd, client_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     try {
-      const result = await this.db.run(sql, [
+      const result = await this.run(sql, [
         record.username,
         record.timestamp,
         record.input_tokens,
@@ -176,9 +415,18 @@ export class Database {
         record.cache_read_tokens || 0,
         record.model,
         record.session_id,
-        record.interaction_hash
+        record.interaction_hash,
+        record.cost ?? null,
+        record.project || null,
+        record.git_branch || null,
+        record.cwd || null,
+        record.client_version || null
       ]);
       
+      if (result.changes > 0) {
+        await this.insertToolUsage(result.lastID, record.tools);
+      }
+      
       return { success: true, inserted: result.changes > 0 };
     } catch (error) {
       console.error('Insert error:', error);
@@ -186,55 +434,651 @@ export class Database {
     }
   }
 
+  // 获取预算（传入 username 时只返回该用户的预算和团队预算）
+  async getBudgets(username) {
+    if (username === undefined) {
+      return await this.db.all(`
+        SELECT * FROM budgets
+        ORDER BY username IS NOT NULL, username, period
+      `);
+    }
+    return await this.db.all(`
+      SELECT * FROM budgets
+      WHERE username IS NULL OR username = ?
+      ORDER BY username IS NOT NULL, period
+    `, [username]);
+  }
+
+  // 创建或更新预算（同一用户/团队的同一周期只有一个预算）
+  async saveBudget({ username = null, period, limit_usd, timezone_offset = 0, timezone = null }) {
+    await this.run(`
+      INSERT INTO budgets (username, period, limit_usd, timezone_offset, timezone)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(COALESCE(username, ''), period) DO UPDATE SET
+        limit_usd = excluded.limit_usd,
+        timezone_offset = excluded.timezone_offset,
+        timezone = excluded.timezone,
+        updated_at = CURRENT_TIMESTAMP
+    `, [username, period, limit_usd, timezone_offset, timezone]);
+
+    return await this.db.get(`
+      SELECT * FROM budgets WHERE COALESCE(username, '') = ? AND period = ?
+    `, [username || '', period]);
+  }
+
+  // 删除预算（已产生的告警保留）
+  async deleteBudget(id) {
+    const result = await this.run('DELETE FROM budgets WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  // 统计某时间点之后的成本（username 为 null 时统计整个团队）
+  async getSpendSince(startTimestamp, username = null) {
+    const row = await this.db.get(`
+      SELECT COALESCE(SUM(cost), 0) as spent
+      FROM usage_records
+      WHERE timestamp >= ? ${username ? 'AND username = ?' : ''}
+    `, username ? [startTimestamp, username] : [startTimestamp]);
+    return row.spent;
+  }
+
+  // 记录预算告警，已存在相同周期和阈值的告警时返回 false
+  async insertBudgetAlert(alert) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO budget_alerts (
+        budget_id, username, period, period_start, threshold, spent, limit_usd
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      alert.budget_id,
+      alert.username,
+      alert.period,
+      alert.period_start,
+      alert.threshold,
+      alert.spent,
+      alert.limit_usd
+    ]);
+    return result.changes > 0;
+  }
+
+  // 获取预算告警（username 为 null 时返回全部，否则返回该用户和团队的告警）
+  async getBudgetAlerts(limit = 50, username = null) {
+    const whereClause = username ? 'WHERE username IS NULL OR username = ?' : '';
+    const params = username ? [username, limit] : [limit];
+
+    return await this.db.all(`
+      SELECT 
+        id, budget_id, username, period, threshold, spent, limit_usd,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', period_start) as period_start,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', created_at) as created_at
+      FROM budget_alerts
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, params);
+  }
+
+  // 设置用户所属团队
+  // 客户端上报（source = 'client'）不会覆盖管理员指定的团队
+  async setUserTeam(username, team, source = 'client') {
+    await this.run(`
+      INSERT INTO team_members (username, team, source)
+      VALUES (?, ?, ?)
+      ON CONFLICT(username) DO UPDATE SET
+        team = excluded.team,
+        source = excluded.source,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE team_members.source = 'client' OR excluded.source = 'admin'
+    `, [username, team, source]);
+  }
+
+  // 移除用户的团队归属（传入 source 时只移除该来源设置的团队）
+  async removeUserTeam(username, source = null) {
+    const result = source
+      ? await this.run('DELETE FROM team_members WHERE username = ? AND source = ?', [username, source])
+      : await this.run('DELETE FROM team_members WHERE username = ?', [username]);
+    return result.changes > 0;
+  }
+
+  // 获取全部团队成员
+  async getTeamMembers() {
+    return await this.db.all(`
+      SELECT 
+        username, team, source,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', updated_at) as updated_at
+      FROM team_members
+      ORDER BY team, username
+    `);
+  }
+
+  // 获取团队排行（按周期统计每个团队的用量，没有用量的团队也会列出）
+  async getTeamRankings(period = 'all', timezoneOffset = 0, sort = 'tokens', filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, period, timezoneOffset, team: null });
+
+    return await this.db.all(`
+      SELECT 
+        tm.team,
+        COUNT(DISTINCT tm.username) as member_count,
+        COUNT(DISTINCT r.username) as active_users,
+        COUNT(DISTINCT r.session_id) as session_count,
+        COUNT(r.id) as record_count,
+        COALESCE(SUM(r.total_tokens), 0) as total_tokens,
+        COALESCE(SUM(r.cost), 0) as total_cost
+      FROM team_members tm
+      LEFT JOIN (SELECT * FROM usage_records ${whereClause}) r ON r.username = tm.username
+      GROUP BY tm.team
+      ORDER BY ${sort === 'cost' ? 'total_cost DESC, total_tokens DESC' : 'total_tokens DESC'}, tm.team
+    `, params);
+  }
+
+  // 获取 webhook 订阅
+  async getWebhooks() {
+    const rows = await this.db.all('SELECT * FROM webhooks ORDER BY id');
+    return rows.map(parseWebhookRow);
+  }
+
+  async getWebhook(id) {
+    const row = await this.db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    return row ? parseWebhookRow(row) : null;
+  }
+
+  // 创建 webhook 订阅
+  async createWebhook(webhook) {
+    const result = await this.run(`
+      INSERT INTO webhooks (name, url, format, secret, events, daily_token_threshold, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      webhook.name || null,
+      webhook.url,
+      webhook.format || 'generic',
+      webhook.secret || null,
+      JSON.stringify(webhook.events),
+      webhook.daily_token_threshold ?? null,
+      webhook.enabled === false ? 0 : 1
+    ]);
+    return await this.getWebhook(result.lastID);
+  }
+
+  // 更新 webhook 订阅（只更新传入的字段）
+  async updateWebhook(id, changes) {
+    const fields = ['name', 'url', 'format', 'secret', 'events', 'daily_token_threshold', 'enabled']
+      .filter(field => changes[field] !== undefined);
+    if (fields.length > 0) {
+      const values = fields.map(field => {
+        if (field === 'events') return JSON.stringify(changes.events);
+        if (field === 'enabled') return changes.enabled ? 1 : 0;
+        return changes[field];
+      });
+      await this.run(
+        `UPDATE webhooks SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...values, id]
+      );
+    }
+    return await this.getWebhook(id);
+  }
+
+  // 删除 webhook 订阅及其投递记录
+  async deleteWebhook(id) {
+    return await this.transaction(async () => {
+      await this.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+      const result = await this.run('DELETE FROM webhooks WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  }
+
+  // 加入投递队列，dedupe_key 已存在时返回 false
+  async enqueueWebhookDelivery({ webhook_id, event, dedupe_key = null, payload }) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO webhook_deliveries (webhook_id, event, dedupe_key, payload)
+      VALUES (?, ?, ?, ?)
+    `, [webhook_id, event, dedupe_key, JSON.stringify(payload)]);
+    return result.changes > 0;
+  }
+
+  // 获取到期待投递的记录
+  async getDueWebhookDeliveries(limit = 20) {
+    const rows = await this.db.all(`
+      SELECT * FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+      ORDER BY next_attempt_at, id
+      LIMIT ?
+    `, [limit]);
+    return rows.map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  // 记录投递结果；retryDelaySeconds 不为空时安排重试
+  async updateWebhookDelivery(id, { status, attempts, responseStatus = null, error = null, retryDelaySeconds = null }) {
+    await this.run(`
+      UPDATE webhook_deliveries SET
+        status = ?,
+        attempts = ?,
+        response_status = ?,
+        last_error = ?,
+        next_attempt_at = CASE WHEN ? IS NULL THEN next_attempt_at
+          ELSE datetime('now', '+' || ? || ' seconds') END,
+        delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = ?
+    `, [status, attempts, responseStatus, error, retryDelaySeconds, retryDelaySeconds, status, id]);
+  }
+
+  // 获取 webhook 最近的投递记录
+  async getWebhookDeliveries(webhookId, limit = 50) {
+    return await this.db.all(`
+      SELECT 
+        id, event, dedupe_key, status, attempts, response_status, last_error,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', next_attempt_at) as next_attempt_at,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', created_at) as created_at,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', delivered_at) as delivered_at
+      FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `, [webhookId, limit]);
+  }
+
+  // 获取总排行榜第一名
+  async getRankingLeader() {
+    return await this.db.get(`
+      SELECT username, total_usage, total_cost
+      FROM user_rankings
+      LIMIT 1
+    `);
+  }
+
+  // 累计排行榜中所有用户的名次
+  async getOverallRanks() {
+    return await this.db.all('SELECT username, rank FROM user_rankings');
+  }
+
+  // 保存某个周期的排名快照（先删除该周期已有的快照，周期内数据变化时可重复调用）
+  async saveRankSnapshot(period, periodStart, timeZone, rankings) {
+    await this.transaction(async () => {
+      await this.run(
+        'DELETE FROM rank_snapshots WHERE period = ? AND period_start = ?',
+        [period, periodStart]
+      );
+      for (const row of rankings) {
+        await this.run(`
+          INSERT INTO rank_snapshots (
+            period, period_start, time_zone, username, rank,
+            total_tokens, total_cost, session_count, overall_rank
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          period, periodStart, timeZone, row.username, row.rank,
+          row.total_tokens, row.total_cost, row.session_count, row.overall_rank
+        ]);
+      }
+    });
+  }
+
+  // 用户在各周期快照中的名次（user_count 为该周期上榜人数），按周期从早到晚排列
+  async getRankSnapshots(username, period, limit = 30) {
+    const rows = await this.db.all(`
+      SELECT 
+        s.period_start,
+        s.rank,
+        s.overall_rank,
+        s.total_tokens,
+        s.total_cost,
+        s.session_count,
+        (SELECT COUNT(*) FROM rank_snapshots c 
+         WHERE c.period = s.period AND c.period_start = s.period_start) as user_count
+      FROM rank_snapshots s
+      WHERE s.username = ? AND s.period = ?
+      ORDER BY s.period_start DESC
+      LIMIT ?
+    `, [username, period, limit]);
+
+    return rows.reverse();
+  }
+
+  // 有快照的周期（period_start，从晚到早）
+  async getSnapshotPeriods(period, limit = 2, before = null) {
+    const rows = await this.db.all(`
+      SELECT DISTINCT period_start
+      FROM rank_snapshots
+      WHERE period = ? ${before ? 'AND period_start <= ?' : ''}
+      ORDER BY period_start DESC
+      LIMIT ?
+    `, before ? [period, before, limit] : [period, limit]);
+
+    return rows.map(row => row.period_start);
+  }
+
+  // 比较两个快照周期的名次，change 为名次变化（正数表示上升）
+  // 只包含两个周期都上榜的用户，按变化幅度从大到小排列
+  async getRankMovers(period, currentStart, previousStart, limit = 10) {
+    return await this.db.all(`
+      SELECT 
+        cur.username,
+        cur.rank,
+        prev.rank as previous_rank,
+        prev.rank - cur.rank as change,
+        cur.total_tokens,
+        prev.total_tokens as previous_tokens
+      FROM rank_snapshots cur
+      JOIN rank_snapshots prev 
+        ON prev.username = cur.username AND prev.period = cur.period AND prev.period_start = ?
+      WHERE cur.period = ? AND cur.period_start = ? AND prev.rank != cur.rank
+      ORDER BY ABS(prev.rank - cur.rank) DESC, cur.rank
+      LIMIT ?
+    `, [previousStart, period, currentStart, limit]);
+  }
+
+  // 用户已获得的成就
+  async getUserAchievements(username) {
+    return await this.db.all(`
+      SELECT 
+        achievement_id,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', awarded_at) as awarded_at
+      FROM user_achievements
+      WHERE username = ?
+      ORDER BY awarded_at, achievement_id
+    `, [username]);
+  }
+
+  // 多个用户已获得的成就 ID（{ username: [成就 ID] }）
+  async getAchievementsForUsers(usernames) {
+    if (usernames.length === 0) return {};
+
+    const rows = await this.db.all(`
+      SELECT username, achievement_id
+      FROM user_achievements
+      WHERE username IN (${usernames.map(() => '?').join(', ')})
+      ORDER BY awarded_at, achievement_id
+    `, usernames);
+
+    const result = {};
+    for (const row of rows) {
+      (result[row.username] ||= []).push(row.achievement_id);
+    }
+    return result;
+  }
+
+  // 授予成就，已获得时返回 false
+  async awardAchievement(username, achievementId) {
+    const result = await this.run(
+      'INSERT OR IGNORE INTO user_achievements (username, achievement_id) VALUES (?, ?)',
+      [username, achievementId]
+    );
+    return result.changes > 0;
+  }
+
+  // 从日统计汇总某天的团队 token 用量
+  async getDailyTeamUsage(date) {
+    return await this.db.get(`
+      SELECT 
+        COALESCE(SUM(total_input_tokens + total_output_tokens + total_cache_tokens), 0) as total_tokens,
+        COUNT(DISTINCT username) as user_count
+      FROM daily_stats
+      WHERE date = ?
+    `, [date]);
+  }
+
+  // 保存单条记录的工具调用次数（tools 为 { 工具名: 次数 }）
+  async insertToolUsage(recordId, tools) {
+    for (const [toolName, count] of Object.entries(tools || {})) {
+      await this.run(
+        'INSERT OR IGNORE INTO tool_usage (record_id, tool_name, call_count) VALUES (?, ?, ?)',
+        [recordId, toolName, count]
+      );
+    }
+  }
+
   // 批量插入使用记录
   async insertBatch(records) {
-    const stmt = await this.db.prepare(`
-      INSERT OR IGNORE INTO usage_records (
-        username, timestamp, input_tokens, output_tokens,
-        cache_creation_tokens, cache_read_tokens,
-        model, session_id, interaction_hash
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    // 逐条插入期间保持写锁，避免其他事务在中途开始
+    return await this.serialize(async () => {
+      const stmt = await this.db.prepare(`
+        INSERT OR IGNORE INTO usage_records (
+          username, timestamp, input_tokens, output_tokens,
+          cache_creation_tokens, cache_read_tokens,
+          model, session_id, interaction_hash, cost, project,
+          git_branch, cwd, client_version
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      let inserted = 0;
+      let failed = 0;
 
-    let inserted = 0;
-    let failed = 0;
+      for (const record of records) {
+        try {
+          const result = await stmt.run(
+            record.username,
+            record.timestamp,
+            record.input_tokens,
+            record.output_tokens,
+            record.cache_creation_tokens || 0,
+            record.cache_read_tokens || 0,
+            record.model,
+            record.session_id,
+            record.interaction_hash,
+            record.cost ?? null,
+            record.project || null,
+            record.git_branch || null,
+            record.cwd || null,
+            record.client_version || null
+          );
+          if (result.changes > 0) {
+            await this.insertToolUsage(result.lastID, record.tools);
+            inserted++;
+          }
+        } catch (error) {
+          console.error('Batch insert error:', error);
+          failed++;
+        }
+      }
 
-    for (const record of records) {
+      await stmt.finalize();
+    
+      return { inserted, failed, total: records.length };
+    });
+  }
+
+  // 排队执行写操作：同一连接上的事务打开期间，其他写入不能混进事务
+  // fn 内部再次调用的写方法（包括嵌套事务）直接执行，不再排队
+  serialize(fn) {
+    if (this.writeContext.getStore()) {
+      return fn();
+    }
+    const result = this.writeQueue.then(() => this.writeContext.run(true, fn));
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  // 执行单条写语句
+  async run(sql, params = []) {
+    return await this.serialize(() => this.db.run(sql, params));
+  }
+
+  // 在事务中执行（已在事务中时直接执行 fn）
+  async transaction(fn) {
+    if (this.writeContext.getStore() === 'transaction') {
+      return await fn();
+    }
+    return await this.serialize(() => this.writeContext.run('transaction', async () => {
+      await this.db.exec('BEGIN');
       try {
-        const result = await stmt.run(
-          record.username,
-          record.timestamp,
-          record.input_tokens,
-          record.output_tokens,
-          record.cache_creation_tokens || 0,
-          record.cache_read_tokens || 0,
-          record.model,
-          record.session_id,
-          record.interaction_hash
-        );
-        if (result.changes > 0) inserted++;
+        const result = await fn();
+        await this.db.exec('COMMIT');
+        return result;
       } catch (error) {
-        console.error('Batch insert error:', error);
-        failed++;
+        await this.db.exec('ROLLBACK');
+        throw error;
       }
+    }));
+  }
+
+  // 检查用户是否存在（用户表或使用记录中任意一处）
+  async userExists(username) {
+    const row = await this.db.get(`
+      SELECT 1 FROM users WHERE username = ?
+      UNION ALL
+      SELECT 1 FROM usage_records WHERE username = ?
+      LIMIT 1
+    `, [username, username]);
+    return !!row;
+  }
+
+  // 根据使用记录重新计算用户表中的汇总（替代触发器的增量维护）
+  async recomputeUserTotals(username) {
+    const totals = await this.db.get(`
+      SELECT 
+        COALESCE(SUM(total_tokens), 0) as total_usage,
+        COALESCE(SUM(cost), 0) as total_cost,
+        COUNT(DISTINCT session_id) as session_count,
+        MIN(created_at) as first_seen,
+        MAX(created_at) as last_seen,
+        COUNT(*) as record_count
+      FROM usage_records
+      WHERE username = ?
+    `, [username]);
+
+    if (!totals || totals.record_count === 0) {
+      await this.run('DELETE FROM users WHERE username = ?', [username]);
+      return;
     }
 
-    await stmt.finalize();
-    
-    return { inserted, failed, total: records.length };
+    await this.run(`
+      INSERT INTO users (username, first_seen, last_seen, total_usage, total_cost, session_count)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(username) DO UPDATE SET
+        first_seen = excluded.first_seen,
+        last_seen = excluded.last_seen,
+        total_usage = excluded.total_usage,
+        total_cost = excluded.total_cost,
+        session_count = excluded.session_count
+    `, [username, totals.first_seen, totals.last_seen, totals.total_usage, totals.total_cost, totals.session_count]);
+  }
+
+  // 获取尚未计算成本的记录（按 id 分页，afterId 为上一页最后一条的 id）
+  async getRecordsWithoutCost(limit = 500, afterId = 0) {
+    return await this.db.all(`
+      SELECT id, timestamp, model, input_tokens, output_tokens,
+        cache_creation_tokens, cache_read_tokens
+      FROM usage_records
+      WHERE cost IS NULL AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `, [afterId, limit]);
+  }
+
+  // 批量更新记录成本
+  async updateRecordCosts(costs) {
+    await this.transaction(async () => {
+      const stmt = await this.db.prepare('UPDATE usage_records SET cost = ? WHERE id = ?');
+      try {
+        for (const { id, cost } of costs) {
+          await stmt.run(cost, id);
+        }
+      } finally {
+        await stmt.finalize();
+      }
+    });
+  }
+
+  // 按 id 分页获取全部记录，用于按新价格重新计算成本
+  async getRecordsForCost(limit = 500, afterId = 0) {
+    return await this.db.all(`
+      SELECT id, timestamp, model, input_tokens, output_tokens,
+        cache_creation_tokens, cache_read_tokens
+      FROM usage_records
+      WHERE id > ?
+      ORDER BY id
+      LIMIT ?
+    `, [afterId, limit]);
+  }
+
+  // 根据使用记录刷新所有用户的总成本
+  async refreshUserCostTotals() {
+    await this.run(`
+      UPDATE users SET total_cost = (
+        SELECT COALESCE(SUM(cost), 0) FROM usage_records
+        WHERE usage_records.username = users.username
+      )
+    `);
+  }
+
+  // 根据使用记录重建用户的全部日统计（日期按服务器默认时区划分）
+  async rebuildDailyStats(username) {
+    const filters = { username, timeZone: getDefaultTimeZone() };
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const localTime = this.getLocalTimeModifier(filters);
+
+    await this.run('DELETE FROM daily_stats WHERE username = ?', [username]);
+    await this.run(`
+      INSERT INTO daily_stats (username, date, total_input_tokens, 
+        total_output_tokens, total_cache_tokens, session_count, interaction_count)
+      SELECT 
+        username,
+        DATE(timestamp, ${localTime.sql}) as date,
+        SUM(input_tokens),
+        SUM(output_tokens),
+        SUM(cache_creation_tokens + cache_read_tokens),
+        COUNT(DISTINCT session_id),
+        COUNT(*)
+      FROM usage_records
+      ${whereClause}
+      GROUP BY username, date
+    `, [...localTime.params, ...params]);
+  }
+
+  // 重命名用户（目标用户名必须不存在）
+  async renameUser(oldName, newName) {
+    return await this.transaction(async () => {
+      const moved = await this.run(
+        'UPDATE usage_records SET username = ? WHERE username = ?',
+        [newName, oldName]
+      );
+      for (const table of USER_KEYED_TABLES) {
+        await this.run(`UPDATE ${table} SET username = ? WHERE username = ?`, [newName, oldName]);
+      }
+      await this.run('DELETE FROM users WHERE username = ?', [oldName]);
+      await this.recomputeUserTotals(newName);
+      return { records: moved.changes };
+    });
+  }
+
+  // 将 source 用户的数据合并到 target 用户
+  async mergeUsers(source, target) {
+    return await this.transaction(async () => {
+      const moved = await this.run(
+        'UPDATE usage_records SET username = ? WHERE username = ?',
+        [target, source]
+      );
+      // 冲突时保留 target 已有的行，再删除 source 剩余的行
+      for (const table of USER_KEYED_TABLES) {
+        if (!MERGE_DISCARDED_TABLES.includes(table)) {
+          await this.run(`UPDATE OR IGNORE ${table} SET username = ? WHERE username = ?`, [target, source]);
+        }
+        await this.run(`DELETE FROM ${table} WHERE username = ?`, [source]);
+      }
+      await this.run('DELETE FROM users WHERE username = ?', [source]);
+      await this.rebuildDailyStats(target);
+      await this.recomputeUserTotals(target);
+      return { records: moved.changes };
+    });
+  }
+
+  // 删除用户及其全部数据
+  async deleteUser(username) {
+    return await this.transaction(async () => {
+      await this.run(
+        'DELETE FROM tool_usage WHERE record_id IN (SELECT id FROM usage_records WHERE username = ?)',
+        [username]
+      );
+      const removed = await this.run('DELETE FROM usage_records WHERE username = ?', [username]);
+      for (const table of USER_KEYED_TABLES) {
+        await this.run(`DELETE FROM ${table} WHERE username = ?`, [username]);
+      }
+      await this.run('DELETE FROM users WHERE username = ?', [username]);
+      return { records: removed.changes };
+    });
   }
 
   // 获取总体统计
-  async getStats(period = '7d', timezoneOffset = 0) {
-    // 使用统一的时间过滤器
-    let whereClause = '';
-    let params = [];
-    
-    if (period !== 'all') {
-      const { startTimestamp } = this.getPeriodFilter(period, timezoneOffset);
-      whereClause = 'WHERE timestamp >= ?';
-      params = [startTimestamp];
-    }
+  async getStats(period = '7d', timezoneOffset = 0, filters = {}) {
+    // 使用统一的过滤条件
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, period, timezoneOffset });
 
     const sql = `
       SELECT 
@@ -243,6 +1087,7 @@ export class Database {
         COALESCE(SUM(total_tokens), 0) as total_tokens,
         COALESCE(SUM(input_tokens), 0) as total_input,
         COALESCE(SUM(output_tokens), 0) as total_output,
+        COALESCE(SUM(cost), 0) as total_cost,
         COUNT(DISTINCT session_id) as session_count
       FROM usage_records
       ${whereClause}
@@ -251,63 +1096,62 @@ export class Database {
     return await this.db.get(sql, params);
   }
 
-  // 获取时间过滤器
-  getPeriodFilter(period, timezoneOffset = 0) {
-    const now = new Date();
-    let startTimestamp;
-    
-    switch (period) {
-      case '1d':
-        // "今天" - 基于用户时区的今天0点
-        // timezoneOffset 是分钟数，例如 UTC+8 是 -480 (表示 UTC 时间减去8小时得到本地时间)
-        // 获取用户本地时间的今天开始时刻
-        const todayStart = new Date(now);
-        // 设置为UTC的0点
-        todayStart.setUTCHours(0, 0, 0, 0);
-        // 调整时区偏移（减去偏移量得到对应的UTC时间）
-        // 例如：北京时间今天0点 = UTC昨天16点，所以要加上480分钟
-        startTimestamp = new Date(todayStart.getTime() + timezoneOffset * 60 * 1000);
-        break;
-      case '7d':
-        // 过去7天 - 从7天前的本地0点开始（包含今天）
-        const sevenDaysAgo = new Date(now);
-        sevenDaysAgo.setUTCHours(0, 0, 0, 0);
-        // 减去6天（因为包含今天）
-        sevenDaysAgo.setTime(sevenDaysAgo.getTime() - 6 * 24 * 60 * 60 * 1000);
-        // 调整时区偏移
-        startTimestamp = new Date(sevenDaysAgo.getTime() + timezoneOffset * 60 * 1000);
-        break;
-      case '30d':
-        // 过去30天 - 从30天前的本地0点开始（包含今天）
-        const thirtyDaysAgo = new Date(now);
-        thirtyDaysAgo.setUTCHours(0, 0, 0, 0);
-        // 减去29天（因为包含今天）
-        thirtyDaysAgo.setTime(thirtyDaysAgo.getTime() - 29 * 24 * 60 * 60 * 1000);
-        // 调整时区偏移
-        startTimestamp = new Date(thirtyDaysAgo.getTime() + timezoneOffset * 60 * 1000);
-        break;
-      case 'all':
-      default:
-        startTimestamp = new Date(0); // Unix epoch start
-        break;
+  // 构建使用记录的过滤条件（时间范围、团队、用户、项目、分支、会话）
+  // 时间范围为 from / to（优先）或命名范围 period，按 timeZone（IANA 时区名，优先）或 timezoneOffset 划分本地日期
+  // 返回 conditions 以便调用方追加自己的条件，whereClause 可直接拼接
+  buildRecordFilter({
+    period = 'all', from = null, to = null, timezoneOffset = 0, timeZone = null, team = null,
+    username = null, project = null, branch = null, sessionId = null
+  } = {}) {
+    const conditions = [];
+    const params = [];
+
+    const { start, end } = resolveDateRange({ period, from, to, timezoneOffset, timeZone });
+    if (start) {
+      conditions.push('timestamp >= ?');
+      params.push(start);
     }
-    
+    if (end) {
+      conditions.push('timestamp < ?');
+      params.push(end);
+    }
+
+    if (team) {
+      conditions.push('username IN (SELECT username FROM team_members WHERE team = ?)');
+      params.push(team);
+    }
+
+    if (username) {
+      conditions.push('username = ?');
+      params.push(username);
+    }
+
+    if (project) {
+      conditions.push('project = ?');
+      params.push(project);
+    }
+
+    if (branch) {
+      conditions.push('git_branch = ?');
+      params.push(branch);
+    }
+
+    if (sessionId) {
+      conditions.push('session_id = ?');
+      params.push(sessionId);
+    }
+
     return {
-      startTimestamp: startTimestamp.toISOString()
+      conditions,
+      params,
+      whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
     };
   }
 
-  // 获取用户排行榜
-  async getUserRankings(limit = 20, period = 'all', timezoneOffset = 0) {
-    let whereClause = '';
-    let params = [];
-    
-    // 根据时间周期添加过滤条件
-    if (period !== 'all') {
-      const { startTimestamp } = this.getPeriodFilter(period, timezoneOffset);
-      whereClause = 'WHERE timestamp >= ?';
-      params = [startTimestamp];
-    }
+  // 获取用户排行榜（sort 为 'tokens' 或 'cost'）
+  async getUserRankings(limit = 20, period = 'all', timezoneOffset = 0, sort = 'tokens', filters = {}) {
+    // 根据时间周期和团队添加过滤条件
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, period, timezoneOffset });
     
     // 构建SQL查询 - 确保返回 UTC 格式的时间戳
     const sql = `
@@ -321,11 +1165,13 @@ export class Database {
         COALESCE(SUM(cache_creation_tokens), 0) as total_cache_creation_tokens,
         COALESCE(SUM(cache_read_tokens), 0) as total_cache_read_tokens,
         (COALESCE(SUM(input_tokens), 0) + COALESCE(SUM(output_tokens), 0) + 
-         COALESCE(SUM(cache_creation_tokens), 0) + COALESCE(SUM(cache_read_tokens), 0)) as total_tokens
+         COALESCE(SUM(cache_creation_tokens), 0) + COALESCE(SUM(cache_read_tokens), 0)) as total_tokens,
+        COALESCE(SUM(cost), 0) as total_cost,
+        (SELECT team FROM team_members tm WHERE tm.username = usage_records.username) as team
       FROM usage_records
       ${whereClause}
       GROUP BY username
-      ORDER BY total_tokens DESC
+      ORDER BY ${sort === 'cost' ? 'total_cost DESC, total_tokens DESC' : 'total_tokens DESC'}
       LIMIT ?
     `;
     
@@ -334,46 +1180,46 @@ export class Database {
     
     // 为每个用户获取最常用的模型
     for (const user of rankings) {
-      let modelSql = `
+      const modelFilter = this.buildRecordFilter({ ...filters, period, timezoneOffset, username: user.username });
+      const modelData = await this.db.get(`
         SELECT model, COUNT(*) as count
         FROM usage_records
-        WHERE username = ?
-      `;
-      let modelParams = [user.username];
-      
-      if (period !== 'all') {
-        const { startTimestamp } = this.getPeriodFilter(period, timezoneOffset);
-        modelSql += ' AND timestamp >= ?';
-        modelParams.push(startTimestamp);
-      }
-      
-      modelSql += ' GROUP BY model ORDER BY count DESC LIMIT 1';
-      
-      const modelData = await this.db.get(modelSql, modelParams);
+        ${modelFilter.whereClause}
+        GROUP BY model ORDER BY count DESC LIMIT 1
+      `, modelFilter.params);
       user.primary_model = modelData?.model || null;
     }
     
     return rankings;
   }
 
+  // 获取全部用户的排名位置（与 getUserRankings 的排序一致，用于比较不同周期的名次）
+  async getRankPositions(period = 'all', timezoneOffset = 0, sort = 'tokens', filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, period, timezoneOffset });
+
+    return await this.db.all(`
+      SELECT 
+        username,
+        ROW_NUMBER() OVER (
+          ORDER BY ${sort === 'cost' ? 'SUM(cost) DESC, SUM(total_tokens) DESC' : 'SUM(total_tokens) DESC'}
+        ) as rank
+      FROM usage_records
+      ${whereClause}
+      GROUP BY username
+    `, params);
+  }
+
   // 获取最近记录
-  async getRecentRecords(limit = 100, period = 'all', timezoneOffset = 0) {
-    let whereClause = '';
-    let params = [];
-    
-    // 根据时间周期添加过滤条件
-    if (period !== 'all') {
-      const { startTimestamp } = this.getPeriodFilter(period, timezoneOffset);
-      whereClause = 'WHERE timestamp >= ?';
-      params = [startTimestamp];
-    }
+  async getRecentRecords(limit = 100, period = 'all', timezoneOffset = 0, filters = {}) {
+    // 根据时间周期和团队添加过滤条件
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, period, timezoneOffset });
     
     const sql = `
       SELECT 
         username, timestamp, model,
         input_tokens, output_tokens, 
         cache_creation_tokens, cache_read_tokens,
-        total_tokens, session_id
+        total_tokens, session_id, cost, project, git_branch
       FROM usage_records
       ${whereClause}
       ORDER BY timestamp DESC
@@ -384,8 +1230,124 @@ export class Database {
     return await this.db.all(sql, params);
   }
 
+  // 按项目汇总用量（filters 同 buildRecordFilter）
+  async getProjectStats(filters = {}, limit = 50) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+
+    return await this.db.all(`
+      SELECT 
+        project,
+        COUNT(DISTINCT username) as user_count,
+        COUNT(DISTINCT session_id) as session_count,
+        COUNT(*) as record_count,
+        COALESCE(SUM(total_tokens), 0) as total_tokens,
+        COALESCE(SUM(cost), 0) as total_cost,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', MAX(timestamp)) as last_activity
+      FROM usage_records
+      ${whereClause}
+      GROUP BY project
+      ORDER BY total_tokens DESC
+      LIMIT ?
+    `, [...params, limit]);
+  }
+
+  // 获取工具调用分布（filters 同 buildRecordFilter）
+  // 返回全部用户合计的分布以及每个用户的分布
+  async getToolStats(filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const records = `SELECT id, username FROM usage_records ${whereClause}`;
+
+    const tools = await this.db.all(`
+      SELECT 
+        t.tool_name,
+        SUM(t.call_count) as call_count,
+        COUNT(DISTINCT r.username) as user_count
+      FROM tool_usage t
+      JOIN (${records}) r ON r.id = t.record_id
+      GROUP BY t.tool_name
+      ORDER BY call_count DESC, t.tool_name
+    `, params);
+
+    const byUser = await this.db.all(`
+      SELECT 
+        r.username,
+        t.tool_name,
+        SUM(t.call_count) as call_count
+      FROM tool_usage t
+      JOIN (${records}) r ON r.id = t.record_id
+      GROUP BY r.username, t.tool_name
+      ORDER BY r.username, call_count DESC
+    `, params);
+
+    return { tools, byUser };
+  }
+
+  // 获取会话列表（filters 同 buildRecordFilter），按最近活动倒序
+  async getSessions(filters = {}, limit = 50) {
+    const { conditions, params } = this.buildRecordFilter(filters);
+
+    return await this.db.all(`
+      SELECT 
+        session_id,
+        username,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', MIN(timestamp)) as start_time,
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', MAX(timestamp)) as end_time,
+        CAST(ROUND((julianday(MAX(timestamp)) - julianday(MIN(timestamp))) * 86400) AS INTEGER) as duration_seconds,
+        COUNT(*) as interaction_count,
+        COALESCE(SUM(input_tokens), 0) as total_input,
+        COALESCE(SUM(output_tokens), 0) as total_output,
+        COALESCE(SUM(total_tokens), 0) as total_tokens,
+        COALESCE(SUM(cost), 0) as total_cost,
+        GROUP_CONCAT(DISTINCT model) as models,
+        MAX(project) as project,
+        MAX(git_branch) as git_branch
+      FROM usage_records
+      WHERE ${['session_id IS NOT NULL', ...conditions].join(' AND ')}
+      GROUP BY session_id, username
+      ORDER BY end_time DESC
+      LIMIT ?
+    `, [...params, limit]);
+  }
+
+  // 获取会话内逐条交互记录（按时间顺序，附带工具调用次数）
+  async getSessionTimeline(sessionId) {
+    const records = await this.db.all(`
+      SELECT 
+        id, username, 
+        strftime('%Y-%m-%dT%H:%M:%S.000Z', timestamp) as timestamp,
+        model, input_tokens, output_tokens,
+        cache_creation_tokens, cache_read_tokens,
+        total_tokens, cost, project, git_branch
+      FROM usage_records
+      WHERE session_id = ?
+      ORDER BY timestamp ASC, id ASC
+    `, [sessionId]);
+
+    const tools = await this.db.all(`
+      SELECT t.record_id, t.tool_name, t.call_count
+      FROM tool_usage t
+      JOIN usage_records r ON r.id = t.record_id
+      WHERE r.session_id = ?
+    `, [sessionId]);
+
+    const toolsByRecord = new Map();
+    for (const tool of tools) {
+      if (!toolsByRecord.has(tool.record_id)) {
+        toolsByRecord.set(tool.record_id, {});
+      }
+      toolsByRecord.get(tool.record_id)[tool.tool_name] = tool.call_count;
+    }
+
+    return records.map(({ id, ...record }) => ({
+      ...record,
+      tools: toolsByRecord.get(id) || {}
+    }));
+  }
+
   // 获取用户统计
-  async getUserStats(username) {
+  async getUserStats(username, filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter({ ...filters, username });
+
     const sql = `
       SELECT 
         username,
@@ -393,59 +1355,179 @@ export class Database {
         COALESCE(SUM(total_tokens), 0) as total_tokens,
         COALESCE(SUM(input_tokens), 0) as total_input,
         COALESCE(SUM(output_tokens), 0) as total_output,
+        COALESCE(SUM(cache_creation_tokens), 0) as total_cache_creation,
+        COALESCE(SUM(cache_read_tokens), 0) as total_cache_read,
+        COALESCE(SUM(cost), 0) as total_cost,
         COUNT(DISTINCT session_id) as session_count,
         strftime('%Y-%m-%dT%H:%M:%S.000Z', MIN(timestamp)) as first_use,
         strftime('%Y-%m-%dT%H:%M:%S.000Z', MAX(timestamp)) as last_use
       FROM usage_records
-      WHERE username = ?
+      ${whereClause}
       GROUP BY username
     `;
 
-    return await this.db.get(sql, [username]);
+    return await this.db.get(sql, params);
+  }
+
+  // 按本地日期汇总用量（filters 同 buildRecordFilter）
+  async getDailyUsage(filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const localTime = this.getLocalTimeModifier(filters);
+
+    return await this.db.all(`
+      SELECT 
+        DATE(timestamp, ${localTime.sql}) as date,
+        COUNT(*) as interactions,
+        COALESCE(SUM(input_tokens), 0) as input_tokens,
+        COALESCE(SUM(output_tokens), 0) as output_tokens,
+        COALESCE(SUM(cache_creation_tokens), 0) as cache_creation_tokens,
+        COALESCE(SUM(cache_read_tokens), 0) as cache_read_tokens,
+        COALESCE(SUM(total_tokens), 0) as tokens,
+        COALESCE(SUM(cost), 0) as cost
+      FROM usage_records
+      ${whereClause}
+      GROUP BY date
+      ORDER BY date
+    `, [...localTime.params, ...params]);
+  }
+
+  // 按模型汇总用量（filters 同 buildRecordFilter）
+  async getModelUsage(filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+
+    return await this.db.all(`
+      SELECT 
+        model,
+        COUNT(*) as interactions,
+        COALESCE(SUM(total_tokens), 0) as tokens,
+        COALESCE(SUM(cost), 0) as cost
+      FROM usage_records
+      ${whereClause}
+      GROUP BY model
+      ORDER BY tokens DESC
+    `, params);
+  }
+
+  // 按本地时间的星期（0 为周日）和小时汇总用量（filters 同 buildRecordFilter）
+  async getHourlyActivity(filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const localTime = this.getLocalTimeModifier(filters);
+
+    return await this.db.all(`
+      SELECT 
+        CAST(strftime('%w', timestamp, ${localTime.sql}) AS INTEGER) as weekday,
+        CAST(strftime('%H', timestamp, ${localTime.sql}) AS INTEGER) as hour,
+        COUNT(*) as interactions,
+        COALESCE(SUM(total_tokens), 0) as tokens
+      FROM usage_records
+      ${whereClause}
+      GROUP BY weekday, hour
+    `, [...localTime.params, ...localTime.params, ...params]);
+  }
+
+  // 用户每天在当天所有用户中的 token 排名（filters 中的时间范围和时区决定范围和日期划分）
+  async getDailyRankHistory(username, filters = {}) {
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const localTime = this.getLocalTimeModifier(filters);
+
+    return await this.db.all(`
+      WITH daily AS (
+        SELECT DATE(timestamp, ${localTime.sql}) as date, username, SUM(total_tokens) as tokens
+        FROM usage_records
+        ${whereClause}
+        GROUP BY date, username
+      ),
+      ranked AS (
+        SELECT 
+          date, username, tokens,
+          RANK() OVER (PARTITION BY date ORDER BY tokens DESC) as rank,
+          COUNT(*) OVER (PARTITION BY date) as user_count
+        FROM daily
+      )
+      SELECT date, rank, user_count, tokens
+      FROM ranked
+      WHERE username = ?
+      ORDER BY date
+    `, [...localTime.params, ...params, username]);
+  }
+
+  // 生成把 timestamp 换算为本地时间的 SQLite 日期函数修饰符（filters 同 buildRecordFilter）
+  // 固定偏移直接用 '+N minutes'；IANA 时区按查询范围内的夏令时切换点分段选择偏移
+  // 返回 { sql, params }，sql 作为日期函数的第二个参数拼接
+  getLocalTimeModifier(filters = {}) {
+    const zone = filters.timeZone || filters.timezoneOffset || 0;
+    const toModifier = (offset) => `${-offset} minutes`;
+
+    if (typeof zone !== 'string') {
+      return { sql: '?', params: [toModifier(zone)] };
+    }
+
+    const { start, end } = resolveDateRange(filters);
+    const segments = getOffsetSegments(zone, start ? new Date(start) : null, end ? new Date(end) : null);
+    if (segments.length === 1) {
+      return { sql: '?', params: [toModifier(segments[0].offset)] };
+    }
+
+    const cases = segments.slice(0, -1).map(() => 'WHEN timestamp < ? THEN ?').join(' ');
+    const params = segments.slice(0, -1).flatMap(({ until, offset }) => [until.toISOString(), toModifier(offset)]);
+    return {
+      sql: `CASE ${cases} ELSE ? END`,
+      params: [...params, toModifier(segments[segments.length - 1].offset)]
+    };
   }
 
   // 获取趋势数据
-  async getTrends(days = 30, timezoneOffset = 0) {
-    // 计算起始时间（基于用户时区）
-    const now = new Date();
-    const startDate = new Date(now);
-    startDate.setUTCHours(0, 0, 0, 0);
-    // 减去指定天数
-    startDate.setTime(startDate.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
-    // 调整时区偏移
-    const startTimestamp = new Date(startDate.getTime() + timezoneOffset * 60 * 1000);
+  async getTrends(days = 30, timezoneOffset = 0, filters = {}) {
+    // 未指定时间范围时取包含今天在内的最近 days 天（基于用户时区）
+    const range = { ...filters, timezoneOffset };
+    const zone = range.timeZone || timezoneOffset;
+    if (!filters.from && !filters.to && (!filters.period || filters.period === 'all')) {
+      const local = toLocalTime(zone);
+      range.period = 'all';
+      range.from = localMidnight(
+        local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - (days - 1), zone
+      ).toISOString();
+    }
+    const { whereClause, params } = this.buildRecordFilter(range);
+    const localTime = this.getLocalTimeModifier(range);
     
     const sql = `
       SELECT 
-        DATE(timestamp) as date,
+        DATE(timestamp, ${localTime.sql}) as date,
         COUNT(DISTINCT username) as users,
         COALESCE(SUM(total_tokens), 0) as tokens,
+        COALESCE(SUM(cost), 0) as cost,
         COUNT(*) as interactions
       FROM usage_records
-      WHERE timestamp >= ?
-      GROUP BY DATE(timestamp)
+      ${whereClause}
+      GROUP BY date
       ORDER BY date DESC
     `;
 
-    return await this.db.all(sql, [startTimestamp.toISOString()]);
+    return await this.db.all(sql, [...localTime.params, ...params]);
   }
 
-  // 更新日统计
-  async updateDailyStats() {
+  // 更新当天的日统计（日期按 timeZone 划分，默认为服务器默认时区），返回更新的日期 YYYY-MM-DD
+  async updateDailyStats(timeZone = getDefaultTimeZone()) {
+    const filters = { period: 'today', timeZone };
+    const { whereClause, params } = this.buildRecordFilter(filters);
+    const localTime = this.getLocalTimeModifier(filters);
+    const date = toLocalTime(timeZone).toISOString().slice(0, 10);
+
     const sql = `
       INSERT INTO daily_stats (username, date, total_input_tokens, 
         total_output_tokens, total_cache_tokens, session_count, interaction_count)
       SELECT 
         username,
-        DATE(timestamp) as date,
+        DATE(timestamp, ${localTime.sql}) as date,
         SUM(input_tokens),
         SUM(output_tokens),
         SUM(cache_creation_tokens + cache_read_tokens),
         COUNT(DISTINCT session_id),
         COUNT(*)
       FROM usage_records
-      WHERE DATE(timestamp) = DATE('now')
-      GROUP BY username, DATE(timestamp)
+      ${whereClause}
+      GROUP BY username, date
       ON CONFLICT(username, date) DO UPDATE SET
         total_input_tokens = excluded.total_input_tokens,
         total_output_tokens = excluded.total_output_tokens,
@@ -454,7 +1536,8 @@ export class Database {
         interaction_count = excluded.interaction_count
     `;
 
-    await this.db.exec(sql);
+    await this.run(sql, [...localTime.params, ...params]);
+    return date;
   }
 
   isReady() {
@@ -469,5 +1552,26 @@ export class Database {
   }
 }
 
+// 解析 webhooks 表中的一行
+function parseWebhookRow(row) {
+  return {
+    ...row,
+    events: JSON.parse(row.events),
+    enabled: !!row.enabled
+  };
+}
+
+// 按键排序的 JSON 序列化，用于比较价格表是否变化
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
 // 导出单例
 export default new Database();
\ No newline at end of file
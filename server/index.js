@@ -6,7 +6,15 @@ import { fileURLToPath } from 'url';
 import db from './db/database.js';  // 导入单例
 import usageRoutes from './routes/usage.js';
 import statsRoutes from './routes/stats.js';
+import adminRoutes from './routes/admin.js';
+import alertRoutes from './routes/alerts.js';
+import userRoutes from './routes/users.js';
 import { initPricingUpdater } from './utils/fetchPricing.js';
+import { backfillRecordCosts, initPricingHistory } from './utils/pricing.js';
+import { loadPricingOverrides } from './utils/pricingOverrides.js';
+import { initWebhookDispatcher } from './utils/webhooks.js';
+import { initRankSnapshotJob } from './utils/rankSnapshots.js';
+import { evaluateAllAchievements } from './utils/achievements.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -16,9 +24,29 @@ const PORT = process.env.PORT || 3000;
 // 初始化数据库
 await db.init();
 
-// 初始化价格更新器
+// 初始化价格历史，并启动价格更新器
+await initPricingHistory();
 initPricingUpdater();
 
+// 加载价格覆盖配置，记录文件校验和（之后直接编辑文件会触发成本重算）
+await loadPricingOverrides();
+
+// 启动 webhook 投递队列（处理重启前未完成和需要重试的投递）
+initWebhookDispatcher();
+
+// 定时保存每日、每周排名快照
+initRankSnapshotJob();
+
+// 为旧版本写入的记录补算成本（不阻塞启动）
+backfillRecordCosts().catch(error => {
+  console.error('Failed to backfill record costs:', error);
+});
+
+// 为已有数据补发成就（不阻塞启动）
+evaluateAllAchievements().catch(error => {
+  console.error('Failed to evaluate achievements:', error);
+});
+
 // 中间件
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -39,6 +67,9 @@ app.use(express.static(path.join(__dirname, 'public'), {
 // API 路由
 app.use('/api/usage', usageRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/users', userRoutes);
 
 // 健康检查
 app.get('/health', (req, res) => {
@@ -154,21 +154,33 @@ class Dashboard {
 
   async loadData() {
     const period = this.getCurrentPeriod();
-    // 获取用户的时区偏移（分钟数）
-    const timezoneOffset = new Date().getTimezoneOffset();
-    console.log('[Dashboard] Loading data with period:', period, 'timezone offset:', timezoneOffset);
+    const range = this.getRangeQuery();
+    const sort = this.getCurrentSort();
+    const team = this.getCurrentTeam();
+    const teamParam = team ? `&team=${encodeURIComponent(team)}` : '';
+    // 按浏览器时区划分日期和星期
+    const tz = this.getTimeZoneQuery();
+    // 趋势图在范围不足一天或为全部时间时显示最近 30 天
+    const trendRange = ['today', 'yesterday', 'all'].includes(period) ? 'days=30' : range;
+    console.log('[Dashboard] Loading data with range:', range, 'time zone:', tz, 'team:', team);
     
     try {
-      // 并行加载所有数据，传递时区偏移
-      const [overview, trends] = await Promise.all([
-        fetch(`/api/stats/overview?period=${period}&timezoneOffset=${timezoneOffset}`).then(r => r.json()),
-        fetch(`/api/stats/trends?days=30&timezoneOffset=${timezoneOffset}`).then(r => r.json())
+      // 并行加载所有数据，传递时区
+      const [overview, trends, alerts, teams, projects, tools, heatmap, movers] = await Promise.all([
+        fetch(`/api/stats/overview?${range}&${tz}&sort=${sort}${teamParam}`).then(r => r.json()),
+        fetch(`/api/stats/trends?${trendRange}&${tz}${teamParam}`).then(r => r.json()),
+        fetch('/api/alerts?limit=10').then(r => r.json()),
+        fetch(`/api/stats/teams?${range}&${tz}&sort=${sort}`).then(r => r.json()),
+        fetch(`/api/stats/projects?${range}&${tz}&limit=10${teamParam}`).then(r => r.json()),
+        fetch(`/api/stats/tools?${range}&${tz}${teamParam}`).then(r => r.json()),
+        fetch(`/api/stats/heatmap?${range}&${tz}${teamParam}`).then(r => r.json()),
+        fetch('/api/stats/movers?period=weekly&limit=10').then(r => r.json())
       ]);
       
       console.log('[Dashboard] API Response - Overview:', overview);
       console.log('[Dashboard] API Response - Trends:', trends);
       
-      this.data = { overview, trends };
+      this.data = { overview, trends, alerts, teams, projects, tools, heatmap, movers };
       console.log('[Dashboard] Data stored, calling updateUI');
       this.updateUI();
       this.updateCharts();
@@ -180,8 +192,55 @@ class Dashboard {
   }
 
   getCurrentPeriod() {
-    const activeTab = document.querySelector('.time-tab.active');
-    return activeTab ? activeTab.dataset.period : '1d';
+    const select = document.getElementById('range-select');
+    return select ? select.value : 'today';
+  }
+
+  // 当前时间范围的查询参数：命名范围为 period，自定义范围为 from / to
+  getRangeQuery() {
+    const period = this.getCurrentPeriod();
+    if (period !== 'custom') {
+      return `period=${period}`;
+    }
+    
+    const from = document.getElementById('range-from').value;
+    const to = document.getElementById('range-to').value;
+    const params = [
+      from ? `from=${from}` : null,
+      to ? `to=${to}` : null
+    ].filter(Boolean);
+    return params.length > 0 ? params.join('&') : 'period=all';
+  }
+
+  // 浏览器所在时区（IANA 时区名），无法获取时退回时区偏移分钟数
+  getTimeZoneQuery() {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return timeZone
+      ? `tz=${encodeURIComponent(timeZone)}`
+      : `timezoneOffset=${new Date().getTimezoneOffset()}`;
+  }
+
+  // 当前时间范围的显示名称
+  getRangeLabel() {
+    const period = this.getCurrentPeriod();
+    if (period !== 'custom') {
+      const select = document.getElementById('range-select');
+      return select?.selectedOptions[0]?.textContent || period;
+    }
+    
+    const from = document.getElementById('range-from').value;
+    const to = document.getElementById('range-to').value;
+    return `${from || '…'} ~ ${to || '…'}`;
+  }
+
+  getCurrentTeam() {
+    const select = document.getElementById('team-select');
+    return select ? select.value : '';
+  }
+
+  getCurrentSort() {
+    const activeTab = document.querySelector('.sort-tab.active');
+    return activeTab ? activeTab.dataset.sort : 'tokens';
   }
 
   updateUI() {
@@ -208,6 +267,27 @@ class Dashboard {
     this.updateStatCard('session-count', overview.stats?.sessionCount);
     this.updateStatCard('record-count', overview.stats?.recordCount);
     
+    // 与上一周期对比
+    this.updateStatChange('tokens-change', overview.changes?.totalTokens);
+    this.updateStatChange('users-change', overview.changes?.userCount);
+    this.updateStatChange('sessions-change', overview.changes?.sessionCount);
+    this.updateStatChange('records-change', overview.changes?.recordCount);
+    
+    // 标注成本口径：标价或协议价
+    this.updateCostBasis(overview.pricing);
+    
+    // 更新预算和告警
+    this.updateBudgets(this.data.alerts);
+    
+    // 更新团队选择器和团队排行
+    this.updateTeams(this.data.teams?.teams);
+    
+    // 更新项目用量
+    this.updateProjects(this.data.projects?.projects);
+    
+    // 更新每周名次变化
+    this.updateMovers(this.data.movers);
+    
     // 更新排行榜
     console.log('[Dashboard] Calling updateRankings with:', overview.rankings);
     this.updateRankings(overview.rankings);
@@ -227,6 +307,162 @@ class Dashboard {
     }
   }
 
+  // change 为 { previous, delta, percent }，没有上一周期（全部时间）时清空
+  updateStatChange(id, change) {
+    const element = document.getElementById(id);
+    if (!element) return;
+    
+    element.classList.remove('positive', 'negative');
+    if (!change) {
+      element.textContent = '';
+      element.title = '';
+      return;
+    }
+    
+    const { previous, delta, percent } = change;
+    const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+    const arrow = delta > 0 ? '↑' : delta < 0 ? '↓' : '';
+    const amount = `${sign}${this.formatNumber(Math.abs(delta))}`;
+    const text = percent === null
+      ? (delta === 0 ? '与上期持平' : `${amount}（上期为 0）`)
+      : `${arrow} ${Math.abs(percent).toFixed(1)}%（${amount}）较上期`;
+    
+    element.textContent = text.trim();
+    element.title = `上期：${this.formatNumber(previous)}`;
+    if (delta > 0) element.classList.add('positive');
+    if (delta < 0) element.classList.add('negative');
+  }
+
+  updateCostBasis(pricing) {
+    const contracted = pricing?.basis === 'contracted';
+    const recalculating = pricing?.recalculating === true;
+    // 重新计算完成前，历史记录成本仍混有旧口径
+    const label = recalculating ? ' · 重新计算中' : contracted ? ' · 协议价' : ' · 标价';
+    const title = recalculating
+      ? `价格配置已变更，历史记录成本正在按${contracted ? '协议价' : '标价'}重新计算`
+      : contracted
+        ? `按协议价计算${pricing.discount_percent ? `（全局折扣 ${pricing.discount_percent}%）` : ''}`
+        : '按公开标价计算';
+    
+    document.querySelectorAll('.cost-basis').forEach(element => {
+      element.textContent = label;
+      element.title = title;
+      element.classList.toggle('contracted', contracted && !recalculating);
+    });
+  }
+
+  updateBudgets(data) {
+    const section = document.getElementById('budget-section');
+    if (!section) return;
+    
+    const budgets = data?.budgets || [];
+    const alerts = data?.alerts || [];
+    section.style.display = budgets.length > 0 || alerts.length > 0 ? 'block' : 'none';
+    
+    const periodNames = { daily: '今日', weekly: '本周', monthly: '本月' };
+    
+    document.getElementById('budget-list').innerHTML = budgets.map(budget => {
+      const percent = Math.min(budget.percent, 100);
+      const level = budget.percent >= 100 ? 'over' : budget.percent >= 80 ? 'high' : budget.percent >= 50 ? 'medium' : '';
+      const scope = budget.username ? this.escapeHtml(budget.username) : '团队';
+      
+      return `
+        <div class="budget-item">
+          <div class="budget-label">
+            <span>${scope} · ${periodNames[budget.period] || budget.period}</span>
+            <span>${this.formatCost(budget.spent)} / ${this.formatCost(budget.limit_usd)}</span>
+          </div>
+          <div class="budget-bar"><div class="budget-fill ${level}" style="width: ${percent}%"></div></div>
+        </div>
+      `;
+    }).join('');
+    
+    document.getElementById('alert-list').innerHTML = alerts.map(alert => {
+      const scope = alert.username ? this.escapeHtml(alert.username) : '团队';
+      const state = alert.threshold >= 100 ? '已超出预算' : `已使用 ${alert.threshold}% 预算`;
+      
+      return `
+        <li class="alert-item ${alert.threshold >= 100 ? 'over' : ''}">
+          <span>⚠️ ${scope}${periodNames[alert.period] || ''}${state}（${this.formatCost(alert.spent)} / ${this.formatCost(alert.limit_usd)}）</span>
+          <span class="alert-time">${this.formatTime(alert.created_at)}</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  updateTeams(teams) {
+    const select = document.getElementById('team-select');
+    const section = document.getElementById('teams-section');
+    const hasTeams = Array.isArray(teams) && teams.length > 0;
+    
+    if (select) {
+      select.style.display = hasTeams ? '' : 'none';
+      const current = select.value;
+      const names = hasTeams ? teams.map(t => t.team).sort() : [];
+      select.innerHTML = '<option value="">全部团队</option>' + names.map(name => 
+        `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`
+      ).join('');
+      // 保留当前选择（团队被删除时回到全部）
+      select.value = names.includes(current) ? current : '';
+    }
+    
+    if (!section) return;
+    section.style.display = hasTeams ? 'block' : 'none';
+    if (!hasTeams) return;
+    
+    document.getElementById('teams-tbody').innerHTML = teams.map((team, index) => `
+      <tr class="${team.team === this.getCurrentTeam() ? 'selected' : ''}">
+        <td>${this.getRankBadge(index + 1)}</td>
+        <td><strong>${this.escapeHtml(team.team)}</strong></td>
+        <td>${this.formatNumber(team.total_tokens)}</td>
+        <td>${this.formatCost(team.total_cost)}</td>
+        <td>${team.active_users} / ${team.member_count}</td>
+        <td>${team.session_count}</td>
+      </tr>
+    `).join('');
+  }
+
+  updateProjects(projects) {
+    const section = document.getElementById('projects-section');
+    if (!section) return;
+    
+    // 只有未记录项目的旧数据时不显示
+    const hasProjects = Array.isArray(projects) && projects.some(p => p.project);
+    section.style.display = hasProjects ? 'block' : 'none';
+    if (!hasProjects) return;
+    
+    document.getElementById('projects-tbody').innerHTML = projects.map((project, index) => `
+      <tr>
+        <td>${this.getRankBadge(index + 1)}</td>
+        <td>${project.project ? `<strong>${this.escapeHtml(project.project)}</strong>` : '<span class="muted">未知项目</span>'}</td>
+        <td>${this.formatNumber(project.total_tokens)}</td>
+        <td>${this.formatCost(project.total_cost)}</td>
+        <td>${project.user_count}</td>
+        <td>${project.session_count}</td>
+      </tr>
+    `).join('');
+  }
+
+  // 每周排名快照中名次变化最大的用户（快照不足两周时隐藏）
+  updateMovers(data) {
+    const section = document.getElementById('movers-section');
+    if (!section) return;
+    
+    const movers = data?.movers || [];
+    section.style.display = movers.length > 0 ? 'block' : 'none';
+    if (movers.length === 0) return;
+    
+    document.getElementById('movers-period').textContent = `（${data.previousPeriodStart} 周 → ${data.periodStart} 周）`;
+    document.getElementById('movers-tbody').innerHTML = movers.map(mover => `
+      <tr class="clickable" data-username="${this.escapeHtml(mover.username)}" title="查看用户详情">
+        <td><strong>${this.escapeHtml(mover.username)}</strong></td>
+        <td>${mover.previousRank} → ${mover.rank}</td>
+        <td>${this.getRankChange({ previous_rank: mover.previousRank, rank_change: mover.change })}</td>
+        <td>${this.formatNumber(mover.previousTokens)} → ${this.formatNumber(mover.tokens)}</td>
+      </tr>
+    `).join('');
+  }
+
   updateRankings(rankings) {
     console.log('[Dashboard] updateRankings called with:', rankings);
     const tbody = document.getElementById('rankings-tbody');
@@ -250,9 +486,9 @@ class Dashboard {
       const costText = this.formatCost(user.total_cost);
       
       return `
-        <tr>
-          <td>${rankBadge}</td>
-          <td><strong>${this.escapeHtml(user.username)}</strong></td>
+        <tr class="clickable" data-username="${this.escapeHtml(user.username)}" title="查看用户详情">
+          <td>${rankBadge}${this.getRankChange(user)}</td>
+          <td><strong>${this.escapeHtml(user.username)}</strong>${this.getAchievementBadges(user.achievements)}${user.team ? ` <span class="team-tag">${this.escapeHtml(user.team)}</span>` : ''}</td>
           <td>${this.formatNumber(user.total_tokens)}</td>
           <td>${costText}</td>
           <td>${user.session_count}</td>
@@ -284,8 +520,13 @@ class Dashboard {
       const modelName = this.formatModel(record.model);
       const costText = this.formatCost(record.cost);
       
+      // 有会话 ID 的记录可点击查看会话详情
+      const sessionAttr = record.session_id
+        ? ` class="clickable" data-session="${this.escapeHtml(record.session_id)}" title="查看会话详情"`
+        : '';
+      
       return `
-        <tr>
+        <tr${sessionAttr}>
           <td>${timeText}</td>
           <td>${this.escapeHtml(record.username)}</td>
           <td>${modelName}</td>
@@ -481,21 +722,458 @@ class Dashboard {
       console.warn('[Dashboard] User chart NOT updated - conditions not met');
     }
     
+    // 更新工具使用图
+    this.updateToolChart(this.data.tools?.tools);
+    
+    // 更新活跃时段热力图
+    this.renderHeatmap(document.getElementById('activity-heatmap'), this.data.heatmap?.tokens);
+    
     console.log(`[Dashboard] updateCharts completed at ${this.getElapsedTime()}ms, took ${Date.now() - startUpdate}ms`);
   }
 
+  updateToolChart(tools) {
+    const container = document.getElementById('tool-chart-container');
+    const canvas = document.getElementById('tool-chart');
+    if (!container || !canvas) return;
+    
+    const hasTools = Array.isArray(tools) && tools.length > 0;
+    container.style.display = hasTools ? 'block' : 'none';
+    if (!hasTools) return;
+    
+    // 工具图在有数据时才显示，因此在首次更新时创建
+    if (!this.charts.tool) {
+      this.charts.tool = Chart.getChart('tool-chart') || new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: [],
+          datasets: [{
+            label: '调用次数',
+            data: [],
+            backgroundColor: '#764ba2'
+          }]
+        },
+        options: {
+          indexAxis: 'y',
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: {
+            duration: 0
+          },
+          plugins: {
+            legend: {
+              display: false
+            },
+            tooltip: {
+              callbacks: {
+                label: context => {
+                  const tool = this.data.tools?.tools?.[context.dataIndex];
+                  return ` ${this.formatNumber(context.parsed.x)} 次（${((tool?.share || 0) * 100).toFixed(1)}%）`;
+                }
+              }
+            }
+          },
+          scales: {
+            x: {
+              beginAtZero: true,
+              ticks: {
+                callback: value => this.formatNumber(value)
+              }
+            }
+          }
+        }
+      });
+    }
+    
+    const topTools = tools.slice(0, 10);
+    this.charts.tool.data.labels = topTools.map(t => t.tool);
+    this.charts.tool.data.datasets[0].data = topTools.map(t => t.calls);
+    this.charts.tool.update('none');
+  }
+
   setupEventListeners() {
-    // 时间选择按钮事件
-    document.querySelectorAll('.time-tab').forEach(tab => {
+    // 时间范围选择事件（选择自定义时显示日期输入框）
+    const rangeSelect = document.getElementById('range-select');
+    const customRange = document.getElementById('custom-range');
+    if (rangeSelect) {
+      rangeSelect.addEventListener('change', () => {
+        const custom = rangeSelect.value === 'custom';
+        customRange.style.display = custom ? '' : 'none';
+        if (!custom) {
+          this.loadData();
+        }
+      });
+    }
+    
+    ['range-from', 'range-to'].forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.addEventListener('change', () => {
+        const from = document.getElementById('range-from').value;
+        const to = document.getElementById('range-to').value;
+        // 开始日期晚于结束日期时不查询
+        if (from && to && from > to) {
+          this.showError('开始日期不能晚于结束日期');
+          return;
+        }
+        this.loadData();
+      });
+    });
+    
+    // 团队选择事件
+    const teamSelect = document.getElementById('team-select');
+    if (teamSelect) {
+      teamSelect.addEventListener('change', () => this.loadData());
+    }
+    
+    // 排行榜排序按钮事件
+    document.querySelectorAll('.sort-tab').forEach(tab => {
       tab.addEventListener('click', () => {
-        // 移除所有active类
-        document.querySelectorAll('.time-tab').forEach(t => t.classList.remove('active'));
-        // 给当前点击的按钮添加active类
+        document.querySelectorAll('.sort-tab').forEach(t => t.classList.remove('active'));
         tab.classList.add('active');
-        // 加载数据
         this.loadData();
       });
     });
+    
+    // 点击最近活动打开会话详情
+    const activityBody = document.getElementById('activity-tbody');
+    if (activityBody) {
+      activityBody.addEventListener('click', event => {
+        const row = event.target.closest('tr[data-session]');
+        if (row) {
+          this.showSession(row.dataset.session);
+        }
+      });
+    }
+    
+    // 点击排行榜或名次变化打开用户详情
+    ['rankings-tbody', 'movers-tbody'].forEach(id => {
+      const body = document.getElementById(id);
+      if (!body) return;
+      body.addEventListener('click', event => {
+        const row = event.target.closest('tr[data-username]');
+        if (row) {
+          this.showUser(row.dataset.username);
+        }
+      });
+    });
+    
+    // 用户详情中的会话列表同样可以打开会话详情
+    const userSessionsBody = document.getElementById('user-sessions-tbody');
+    if (userSessionsBody) {
+      userSessionsBody.addEventListener('click', event => {
+        const row = event.target.closest('tr[data-session]');
+        if (row) {
+          this.showSession(row.dataset.session);
+        }
+      });
+    }
+    
+    // 关闭会话详情（关闭按钮、点击遮罩、Esc）
+    const modal = document.getElementById('session-modal');
+    if (modal) {
+      modal.addEventListener('click', event => {
+        if (event.target === modal || event.target.closest('.modal-close')) {
+          this.hideSession();
+        }
+      });
+    }
+    
+    const userModal = document.getElementById('user-modal');
+    if (userModal) {
+      userModal.addEventListener('click', event => {
+        if (event.target === userModal || event.target.closest('.modal-close')) {
+          this.hideUser();
+        }
+      });
+    }
+    
+    // Esc 先关闭最上层的会话详情，再关闭用户详情
+    document.addEventListener('keydown', event => {
+      if (event.key !== 'Escape') return;
+      if (modal && modal.style.display !== 'none') {
+        this.hideSession();
+      } else {
+        this.hideUser();
+      }
+    });
+  }
+
+  async showUser(username) {
+    const modal = document.getElementById('user-modal');
+    if (!modal) return;
+    
+    const range = this.getRangeQuery();
+    const tz = this.getTimeZoneQuery();
+    
+    document.getElementById('user-modal-title').textContent = `👤 ${username} · ${this.getRangeLabel()}`;
+    document.getElementById('user-summary').innerHTML = '<div class="loading">加载中...</div>';
+    document.getElementById('user-heatmap').innerHTML = '';
+    document.getElementById('user-sessions-tbody').innerHTML = '';
+    modal.style.display = 'flex';
+    
+    try {
+      const response = await fetch(`/api/stats/user/${encodeURIComponent(username)}?${range}&${tz}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const { stats } = data;
+      
+      const items = [
+        ['总 token', this.formatNumber(stats.totalTokens)],
+        ['成本', this.formatCost(stats.totalCost)],
+        ['会话', stats.sessionCount],
+        ['交互', stats.recordCount],
+        ['缓存命中率', `${(stats.cacheHitRatio * 100).toFixed(1)}%`],
+        ['首次使用', this.formatDateTime(stats.firstUse)],
+        ['最近使用', this.formatTime(stats.lastUse)]
+      ];
+      document.getElementById('user-summary').innerHTML = items.map(([label, value]) => `
+        <div class="session-summary-item">
+          <span class="label">${label}</span>
+          <span class="value">${value}</span>
+        </div>
+      `).join('');
+      
+      this.renderUserCharts(data);
+      this.renderHeatmap(document.getElementById('user-heatmap'), data.heatmap);
+      
+      document.getElementById('user-sessions-tbody').innerHTML = data.sessions.length > 0
+        ? data.sessions.map(session => `
+          <tr class="clickable" data-session="${this.escapeHtml(session.session_id)}" title="查看会话详情">
+            <td>${this.formatDateTime(session.start_time)}</td>
+            <td>${this.formatDuration(session.duration_seconds)}</td>
+            <td>${session.interaction_count}</td>
+            <td>${this.formatNumber(session.total_tokens)}</td>
+            <td>${this.formatCost(session.total_cost)}</td>
+            <td>${session.project ? this.escapeHtml(session.project) : '-'}</td>
+          </tr>
+        `).join('')
+        : '<tr><td colspan="6" class="loading">暂无会话</td></tr>';
+    } catch (error) {
+      console.error('Failed to load user:', error);
+      document.getElementById('user-summary').innerHTML = '<div class="loading">加载用户数据失败</div>';
+    }
+  }
+
+  hideUser() {
+    const modal = document.getElementById('user-modal');
+    if (!modal || modal.style.display === 'none') return;
+    
+    modal.style.display = 'none';
+    for (const key of ['userTrend', 'userModel', 'userRank']) {
+      this.charts[key]?.destroy();
+      this.charts[key] = null;
+    }
+  }
+
+  renderUserCharts(data) {
+    const baseOptions = {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      }
+    };
+    const colors = ['#667eea', '#764ba2', '#f093fb', '#f5576c', '#4facfe', '#00f2fe'];
+    const dateLabel = date => new Date(`${date}T00:00:00`).toLocaleDateString('zh-CN', { month: 'short', day: 'numeric' });
+    
+    for (const key of ['userTrend', 'userModel', 'userRank']) {
+      this.charts[key]?.destroy();
+    }
+    
+    // 每日 token 与成本
+    this.charts.userTrend = new Chart(document.getElementById('user-trend-chart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: data.daily.map(d => dateLabel(d.date)),
+        datasets: [{
+          label: 'token',
+          data: data.daily.map(d => d.tokens),
+          borderColor: '#667eea',
+          backgroundColor: 'rgba(102, 126, 234, 0.1)',
+          tension: 0.3,
+          fill: true,
+          yAxisID: 'y'
+        }, {
+          label: '成本 (USD)',
+          data: data.daily.map(d => d.cost),
+          borderColor: '#f5576c',
+          tension: 0.3,
+          yAxisID: 'cost'
+        }]
+      },
+      options: {
+        ...baseOptions,
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: {
+              callback: value => this.formatNumber(value)
+            }
+          },
+          cost: {
+            beginAtZero: true,
+            position: 'right',
+            grid: {
+              drawOnChartArea: false
+            },
+            ticks: {
+              callback: value => `$${value}`
+            }
+          }
+        }
+      }
+    });
+    
+    // 模型分布
+    this.charts.userModel = new Chart(document.getElementById('user-model-chart').getContext('2d'), {
+      type: 'doughnut',
+      data: {
+        labels: data.models.map(m => this.formatModel(m.model)),
+        datasets: [{
+          data: data.models.map(m => m.tokens),
+          backgroundColor: colors
+        }]
+      },
+      options: {
+        ...baseOptions,
+        plugins: {
+          legend: {
+            position: 'right',
+            labels: {
+              font: {
+                size: 11
+              }
+            }
+          }
+        }
+      }
+    });
+    
+    // 每日排名（1 在最上方）
+    this.charts.userRank = new Chart(document.getElementById('user-rank-chart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: data.rankHistory.map(d => dateLabel(d.date)),
+        datasets: [{
+          label: '排名',
+          data: data.rankHistory.map(d => d.rank),
+          borderColor: '#764ba2',
+          stepped: true
+        }]
+      },
+      options: {
+        ...baseOptions,
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            callbacks: {
+              label: context => ` 第 ${context.parsed.y} 名 / ${data.rankHistory[context.dataIndex].userCount} 人`
+            }
+          }
+        },
+        scales: {
+          y: {
+            reverse: true,
+            min: 1,
+            ticks: {
+              precision: 0
+            }
+          }
+        }
+      }
+    });
+  }
+
+  // 渲染 7×24 活跃时段热力图（行从周一开始）
+  renderHeatmap(container, matrix) {
+    if (!container || !Array.isArray(matrix)) return;
+    
+    const weekdays = ['一', '二', '三', '四', '五', '六', '日'];
+    const max = Math.max(0, ...matrix.flat());
+    
+    const header = '<div class="heatmap-label"></div>' + Array.from({ length: 24 }, (_, hour) =>
+      `<div class="heatmap-hour">${hour % 3 === 0 ? hour : ''}</div>`
+    ).join('');
+    
+    const rows = matrix.map((hours, day) => `<div class="heatmap-label">周${weekdays[day]}</div>` + hours.map((value, hour) => {
+      // 无活动的格子保持默认底色
+      const style = value > 0 ? ` style="background: rgba(102, 126, 234, ${(0.15 + 0.85 * (value / max)).toFixed(2)})"` : '';
+      return `<div class="heatmap-cell"${style} title="周${weekdays[day]} ${hour}:00 · ${this.formatNumber(value)} token"></div>`;
+    }).join('')).join('');
+    
+    container.innerHTML = header + rows;
+  }
+
+  async showSession(sessionId) {
+    const modal = document.getElementById('session-modal');
+    if (!modal) return;
+    
+    const summary = document.getElementById('session-summary');
+    const tbody = document.getElementById('session-tbody');
+    summary.innerHTML = '';
+    tbody.innerHTML = '<tr><td colspan="6" class="loading">加载中...</td></tr>';
+    modal.style.display = 'flex';
+    
+    try {
+      const response = await fetch(`/api/stats/sessions/${encodeURIComponent(sessionId)}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const { session, timeline } = await response.json();
+      
+      const items = [
+        ['用户', this.escapeHtml(session.username)],
+        ['开始', this.formatDateTime(session.start_time)],
+        ['时长', this.formatDuration(session.duration_seconds)],
+        ['交互', session.interaction_count],
+        ['总 token', this.formatNumber(session.total_tokens)],
+        ['成本', this.formatCost(session.total_cost)],
+        ['模型', session.models.map(m => this.formatModel(m)).join('、') || '-']
+      ];
+      if (session.project) {
+        items.push(['项目', this.escapeHtml(session.project)]);
+      }
+      if (session.git_branch) {
+        items.push(['分支', this.escapeHtml(session.git_branch)]);
+      }
+      summary.innerHTML = items.map(([label, value]) => `
+        <div class="session-summary-item">
+          <span class="label">${label}</span>
+          <span class="value">${value}</span>
+        </div>
+      `).join('');
+      
+      tbody.innerHTML = timeline.map(record => {
+        const tools = Object.entries(record.tools || {})
+          .map(([name, count]) => `${this.escapeHtml(name)}${count > 1 ? ` ×${count}` : ''}`)
+          .join(', ');
+        
+        return `
+          <tr>
+            <td>${new Date(record.timestamp).toLocaleTimeString('zh-CN')}</td>
+            <td>${this.formatModel(record.model)}</td>
+            <td>${this.formatNumber(record.input_tokens)}</td>
+            <td>${this.formatNumber(record.output_tokens)}</td>
+            <td>${this.formatCost(record.cost)}</td>
+            <td>${tools || '-'}</td>
+          </tr>
+        `;
+      }).join('');
+    } catch (error) {
+      console.error('Failed to load session:', error);
+      tbody.innerHTML = '<tr><td colspan="6" class="loading">加载会话失败</td></tr>';
+    }
+  }
+
+  hideSession() {
+    const modal = document.getElementById('session-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
   }
 
   updateLastUpdated() {
@@ -574,6 +1252,21 @@ class Dashboard {
     }
   }
 
+  formatDateTime(timestamp) {
+    if (!timestamp) return '-';
+    return new Date(timestamp).toLocaleString('zh-CN');
+  }
+
+  formatDuration(seconds) {
+    if (!seconds) return '< 1 分钟';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (hours > 0) {
+      return `${hours} 小时 ${minutes} 分钟`;
+    }
+    return minutes > 0 ? `${minutes} 分钟` : '< 1 分钟';
+  }
+
   formatModel(model) {
     if (!model) return 'Unknown';
 
@@ -616,6 +1309,29 @@ class Dashboard {
     return rank;
   }
 
+  // 与上一周期相比的名次变化箭头（没有上一周期时不显示）
+  getRankChange(user) {
+    if (user.previous_rank === undefined) return '';
+    if (user.previous_rank === null) {
+      return ' <span class="rank-change new" title="上期无记录">新</span>';
+    }
+    if (user.rank_change > 0) {
+      return ` <span class="rank-change up" title="上期第 ${user.previous_rank} 名">▲${user.rank_change}</span>`;
+    }
+    if (user.rank_change < 0) {
+      return ` <span class="rank-change down" title="上期第 ${user.previous_rank} 名">▼${-user.rank_change}</span>`;
+    }
+    return ' <span class="rank-change" title="名次未变">–</span>';
+  }
+
+  // 用户已获得的成就徽章（悬停显示成就名称）
+  getAchievementBadges(achievements) {
+    if (!achievements || achievements.length === 0) return '';
+    return ' ' + achievements.map(achievement => 
+      `<span class="achievement-badge" title="${this.escapeHtml(achievement.name)}">${achievement.icon}</span>`
+    ).join('');
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -0,0 +1,504 @@
+import { Router } from 'express';
+import db from '../db/database.js';
+import { requireAdmin, generateToken, hashToken } from '../utils/auth.js';
+import { isValidUsername, isValidTeamName } from '../utils/validation.js';
+import { recalculateRecordCosts } from '../utils/pricing.js';
+import {
+  loadPricingOverrides,
+  savePricingOverrides,
+  validatePricingOverrides
+} from '../utils/pricingOverrides.js';
+import { validateBudget, getBudgetStatus } from '../utils/budgets.js';
+import { validateWebhook, toPublicWebhook, emitTestEvent, TEST_EVENT } from '../utils/webhooks.js';
+import { getDefaultTimeZone } from '../utils/timezone.js';
+
+const router = Router();
+
+// 所有管理员接口都需要 X-Admin-Secret
+router.use(requireAdmin);
+
+// 重命名用户
+router.post('/users/:username/rename', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { newUsername } = req.body;
+
+    if (!isValidUsername(newUsername)) {
+      return res.status(400).json({ 
+        error: 'Invalid username',
+        details: 'newUsername must be between 1 and 50 characters'
+      });
+    }
+
+    if (!await db.userExists(username)) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        username
+      });
+    }
+
+    if (newUsername === username || await db.userExists(newUsername)) {
+      return res.status(409).json({ 
+        error: 'Target username already exists',
+        details: 'Use the merge endpoint to combine two existing users'
+      });
+    }
+
+    const result = await db.renameUser(username, newUsername);
+
+    res.json({ 
+      success: true,
+      from: username,
+      to: newUsername,
+      records: result.records
+    });
+  } catch (error) {
+    console.error('Rename user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to rename user'
+    });
+  }
+});
+
+// 将用户合并到另一个用户
+router.post('/users/:username/merge', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { into } = req.body;
+
+    if (!isValidUsername(into) || into === username) {
+      return res.status(400).json({ 
+        error: 'Invalid merge target',
+        details: 'into must be a different username'
+      });
+    }
+
+    for (const name of [username, into]) {
+      if (!await db.userExists(name)) {
+        return res.status(404).json({ 
+          error: 'User not found',
+          username: name
+        });
+      }
+    }
+
+    const result = await db.mergeUsers(username, into);
+
+    res.json({ 
+      success: true,
+      from: username,
+      into,
+      records: result.records
+    });
+  } catch (error) {
+    console.error('Merge users error:', error);
+    res.status(500).json({ 
+      error: 'Failed to merge users'
+    });
+  }
+});
+
+// 删除用户及其全部数据
+router.delete('/users/:username', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!await db.userExists(username) && !await db.getUserToken(username)) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        username
+      });
+    }
+
+    const result = await db.deleteUser(username);
+
+    res.json({ 
+      success: true,
+      username,
+      records: result.records
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete user'
+    });
+  }
+});
+
+// 重置用户 token（原 token 立即失效）
+router.post('/users/:username/token', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ 
+        error: 'Invalid username'
+      });
+    }
+
+    const token = generateToken();
+    await db.saveUserToken(username, hashToken(token));
+
+    res.json({ 
+      success: true,
+      username,
+      token
+    });
+  } catch (error) {
+    console.error('Reset token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset token'
+    });
+  }
+});
+
+// 获取全部团队成员
+router.get('/teams', async (req, res) => {
+  try {
+    const members = await db.getTeamMembers();
+    res.json({ members });
+  } catch (error) {
+    console.error('Get team members error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get team members'
+    });
+  }
+});
+
+// 设置用户所属团队（覆盖客户端上报的团队）
+router.put('/users/:username/team', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { team } = req.body;
+
+    if (!isValidUsername(username) || !isValidTeamName(team)) {
+      return res.status(400).json({ 
+        error: 'Invalid username or team',
+        details: 'Both username and team must be between 1 and 50 characters'
+      });
+    }
+
+    await db.setUserTeam(username, team.trim(), 'admin');
+
+    res.json({ 
+      success: true,
+      username,
+      team: team.trim()
+    });
+  } catch (error) {
+    console.error('Set user team error:', error);
+    res.status(500).json({ 
+      error: 'Failed to set user team'
+    });
+  }
+});
+
+// 移除用户的团队归属
+router.delete('/users/:username/team', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!await db.removeUserTeam(username)) {
+      return res.status(404).json({ 
+        error: 'User has no team',
+        username
+      });
+    }
+
+    res.json({ 
+      success: true,
+      username
+    });
+  } catch (error) {
+    console.error('Remove user team error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove user team'
+    });
+  }
+});
+
+// 获取价格覆盖配置
+router.get('/pricing/overrides', async (req, res) => {
+  try {
+    // 重新读取文件，直接编辑过的配置立即生效
+    const overrides = await loadPricingOverrides({ force: true });
+    res.json(overrides);
+  } catch (error) {
+    console.error('Get pricing overrides error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get pricing overrides'
+    });
+  }
+});
+
+// 设置价格覆盖配置（整体替换），并在后台按新价格重新计算全部历史记录成本
+router.put('/pricing/overrides', async (req, res) => {
+  try {
+    const validationError = validatePricingOverrides(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid pricing overrides',
+        details: validationError
+      });
+    }
+
+    const saved = await savePricingOverrides(req.body);
+    scheduleRecalculation();
+
+    res.json({ 
+      success: true,
+      overrides: saved,
+      recalculating: true
+    });
+  } catch (error) {
+    console.error('Save pricing overrides error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save pricing overrides'
+    });
+  }
+});
+
+// 删除价格覆盖配置，恢复使用标价并重新计算全部历史记录成本
+router.delete('/pricing/overrides', async (req, res) => {
+  try {
+    await savePricingOverrides(null);
+    scheduleRecalculation();
+
+    res.json({ 
+      success: true,
+      recalculating: true
+    });
+  } catch (error) {
+    console.error('Delete pricing overrides error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete pricing overrides'
+    });
+  }
+});
+
+// 获取全部预算及当前使用情况
+router.get('/budgets', async (req, res) => {
+  try {
+    const budgets = await db.getBudgets();
+    res.json({ 
+      budgets: await Promise.all(budgets.map(getBudgetStatus))
+    });
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get budgets'
+    });
+  }
+});
+
+// 创建或更新预算（username 为空时为团队预算）
+router.put('/budgets', async (req, res) => {
+  try {
+    const validationError = validateBudget(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid budget',
+        details: validationError
+      });
+    }
+
+    const { username = null, period, limit_usd, timezoneOffset, timeZone } = req.body;
+    // 未指定时区时使用服务器默认时区
+    const budget = await db.saveBudget({
+      username: username || null,
+      period,
+      limit_usd,
+      timezone_offset: timezoneOffset || 0,
+      timezone: timeZone || (timezoneOffset === undefined ? getDefaultTimeZone() : null)
+    });
+
+    res.json({ 
+      success: true,
+      budget: await getBudgetStatus(budget)
+    });
+  } catch (error) {
+    console.error('Save budget error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save budget'
+    });
+  }
+});
+
+// 删除预算
+router.delete('/budgets/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+
+    if (!id || !await db.deleteBudget(id)) {
+      return res.status(404).json({ 
+        error: 'Budget not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({ 
+      success: true,
+      id
+    });
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete budget'
+    });
+  }
+});
+
+// 获取 webhook 订阅（不返回密钥）
+router.get('/webhooks', async (req, res) => {
+  try {
+    const webhooks = await db.getWebhooks();
+    res.json({ 
+      webhooks: webhooks.map(toPublicWebhook)
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get webhooks'
+    });
+  }
+});
+
+// 创建 webhook 订阅
+router.post('/webhooks', async (req, res) => {
+  try {
+    const validationError = validateWebhook(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid webhook',
+        details: validationError
+      });
+    }
+
+    const webhook = await db.createWebhook(req.body);
+
+    res.status(201).json({ 
+      success: true,
+      webhook: toPublicWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+// 更新 webhook 订阅（只更新传入的字段）
+router.patch('/webhooks/:id', async (req, res) => {
+  try {
+    const existing = await db.getWebhook(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        id: req.params.id
+      });
+    }
+
+    const validationError = validateWebhook(req.body, true) ||
+      validateWebhook({ ...existing, ...req.body });
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid webhook',
+        details: validationError
+      });
+    }
+
+    const webhook = await db.updateWebhook(existing.id, req.body);
+
+    res.json({ 
+      success: true,
+      webhook: toPublicWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update webhook'
+    });
+  }
+});
+
+// 删除 webhook 订阅
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    if (!await db.deleteWebhook(req.params.id)) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({ 
+      success: true,
+      id: parseInt(req.params.id)
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+// 发送测试事件
+router.post('/webhooks/:id/test', async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        id: req.params.id
+      });
+    }
+
+    const queued = await emitTestEvent(webhook);
+
+    res.json({ 
+      success: true,
+      event: TEST_EVENT,
+      queued
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send test event'
+    });
+  }
+});
+
+// 获取 webhook 最近的投递记录
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ 
+        error: 'Webhook not found',
+        id: req.params.id
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({ 
+      webhook: toPublicWebhook(webhook),
+      deliveries: await db.getWebhookDeliveries(webhook.id, limit)
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+// 在后台重新计算全部记录成本（不阻塞响应）
+function scheduleRecalculation() {
+  recalculateRecordCosts().catch(error => {
+    console.error('Failed to recalculate record costs:', error);
+  });
+}
+
+export default router;
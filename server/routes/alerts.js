@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import db from '../db/database.js';
+import { getBudgetStatus } from '../utils/budgets.js';
+
+const router = Router();
+
+// 获取预算告警及各预算当前周期的使用情况
+router.get('/', async (req, res) => {
+  try {
+    const { username, limit = 50 } = req.query;
+    const limitNum = Math.min(parseInt(limit) || 50, 200);
+
+    const alerts = await db.getBudgetAlerts(limitNum, username || null);
+    const budgets = await db.getBudgets(username || undefined);
+    const statuses = await Promise.all(budgets.map(getBudgetStatus));
+
+    res.json({
+      alerts,
+      budgets: statuses.map(status => ({
+        id: status.id,
+        username: status.username,
+        scope: status.username ? 'user' : 'team',
+        period: status.period,
+        period_start: status.period_start,
+        limit_usd: status.limit_usd,
+        spent: status.spent,
+        percent: status.percent
+      }))
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get alerts'
+    });
+  }
+});
+
+export default router;
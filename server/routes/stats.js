@@ -3,54 +3,183 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import db from '../db/database.js';
-import { calculateCost } from '../utils/pricing.js';
+import { calculateCost, getPricingHistory, getPricingBasis } from '../utils/pricing.js';
 import { getStorageConfig, getDataDir } from '../utils/dataDir.js';
+import { resolveDateRange, getPreviousRange } from '../utils/dateRange.js';
+import { getDefaultTimeZone, isValidTimeZone } from '../utils/timezone.js';
+import { SNAPSHOT_PERIODS } from '../utils/rankSnapshots.js';
+import { getAchievement } from '../utils/achievements.js';
+import { listPricingProviders } from '../utils/pricingProviders/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const router = Router();
 
+// 解析排行榜排序方式
+function parseSort(sort) {
+  return sort === 'cost' ? 'cost' : 'tokens';
+}
+
+// 解析团队过滤条件（空值表示全部）
+function parseTeam(team) {
+  return typeof team === 'string' && team.trim() ? team.trim() : null;
+}
+
+// 解析记录过滤条件（团队、Git 分支）
+function parseFilters(query) {
+  return {
+    team: parseTeam(query.team),
+    branch: typeof query.branch === 'string' && query.branch.trim() ? query.branch.trim() : null
+  };
+}
+
+// 解析时间范围：from / to（日期或 ISO 时间）优先，否则为命名范围 period
+// 时区为 tz（IANA 时区名）或 timezoneOffset，都未指定时使用服务器默认时区
+// 返回 { range, error }，range 可直接合并到数据库过滤条件中
+function parseRange(query, defaultPeriod = 'all') {
+  const { period = defaultPeriod, timezoneOffset, tz } = query;
+  // 验证并限制时区偏移在合理范围内 (UTC-12 到 UTC+14)
+  let tzOffset = parseInt(timezoneOffset) || 0;
+  tzOffset = Math.max(-720, Math.min(840, tzOffset)); // -12小时到+14小时
+
+  if (tz !== undefined && !isValidTimeZone(tz)) {
+    return { range: null, error: 'Invalid time zone' };
+  }
+  const timeZone = tz || (timezoneOffset === undefined ? getDefaultTimeZone() : null);
+
+  const from = typeof query.from === 'string' && query.from ? query.from : null;
+  const to = typeof query.to === 'string' && query.to ? query.to : null;
+  const range = {
+    period: from || to ? 'custom' : period,
+    from,
+    to,
+    timezoneOffset: tzOffset,
+    timeZone
+  };
+
+  try {
+    const { start, end } = resolveDateRange(range);
+    return { range: { ...range, start, end }, error: null };
+  } catch (error) {
+    return { range: null, error: error.message };
+  }
+}
+
+// 响应中回显的时间范围
+function describeRange({ period, from, to, start, end, timeZone }) {
+  return { period, from, to, start, end, tz: timeZone };
+}
+
+// 与上一周期相比的变化：delta 为差值，percent 为变化百分比（上一周期为 0 时为 null）
+function getChange(current = 0, previous = 0) {
+  current = current || 0;
+  previous = previous || 0;
+  return {
+    previous,
+    delta: current - previous,
+    percent: previous > 0 ? ((current - previous) / previous) * 100 : null
+  };
+}
+
+// 上一个等长周期的过滤条件，period 为 all 时返回 null
+function getPreviousFilters(range, filters = {}) {
+  const previousRange = getPreviousRange(range);
+  if (!previousRange) return null;
+
+  return {
+    start: previousRange.start,
+    end: previousRange.end,
+    filters: { ...filters, from: previousRange.start, to: previousRange.end, timeZone: range.timeZone }
+  };
+}
+
+// 为排行榜补充上一周期的名次：previous_rank 为上一周期名次，rank_change 为名次变化（正数表示上升）
+// 上一周期没有记录的用户两者都为 null；没有上一周期时原样返回
+async function addRankChanges(rankings, previous, sort) {
+  if (!previous) return rankings;
+
+  const positions = await db.getRankPositions('custom', 0, sort, previous.filters);
+  const previousRanks = new Map(positions.map(row => [row.username, row.rank]));
+
+  return rankings.map((user, index) => {
+    const previousRank = previousRanks.get(user.username) || null;
+    return {
+      ...user,
+      previous_rank: previousRank,
+      rank_change: previousRank ? previousRank - (index + 1) : null
+    };
+  });
+}
+
+// 为排行榜补充用户已获得的成就徽章（achievements 为 { id, icon, name }）
+async function addAchievements(rankings) {
+  const earned = await db.getAchievementsForUsers(rankings.map(user => user.username));
+
+  return rankings.map(user => ({
+    ...user,
+    achievements: (earned[user.username] || [])
+      .map(getAchievement)
+      .filter(Boolean)
+      .map(({ id, icon, name }) => ({ id, icon, name }))
+  }));
+}
+
+// 解析排名快照周期（daily / weekly），无效时返回 null
+function parseSnapshotPeriod(period = 'daily') {
+  return Object.hasOwn(SNAPSHOT_PERIODS, period) ? period : null;
+}
+
+// 缓存命中率：缓存读取占全部输入（含缓存写入和读取）的比例
+function getCacheHitRatio(input = 0, cacheCreation = 0, cacheRead = 0) {
+  const total = (input || 0) + (cacheCreation || 0) + (cacheRead || 0);
+  return total > 0 ? (cacheRead || 0) / total : 0;
+}
+
+// 将按星期、小时汇总的行转换为 7×24 矩阵（行从周一开始，列为 0-23 时）
+function buildHeatmap(rows, field = 'tokens') {
+  const matrix = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const row of rows) {
+    matrix[(row.weekday + 6) % 7][row.hour] = row[field];
+  }
+  return matrix;
+}
+
 // 获取总体统计概览
 router.get('/overview', async (req, res) => {
   try {
-    const { period = '1d', timezoneOffset = 0 } = req.query;
-    // 验证并限制时区偏移在合理范围内 (UTC-12 到 UTC+14)
-    let tzOffset = parseInt(timezoneOffset) || 0;
-    tzOffset = Math.max(-720, Math.min(840, tzOffset)); // -12小时到+14小时
+    const { sort } = req.query;
+    const { range, error } = parseRange(req.query, '1d');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { period, timezoneOffset: tzOffset } = range;
+    const filters = parseFilters(req.query);
+    const recordFilters = { ...filters, from: range.from, to: range.to, timeZone: range.timeZone };
     
-    console.log('Getting overview stats for period:', period, 'timezone offset:', tzOffset);
+    console.log('Getting overview stats for period:', period, 'range:', range.start, '-', range.end, 'time zone:', range.timeZone || tzOffset);
     
     // 获取统计数据
-    const stats = await db.getStats(period, tzOffset);
+    const stats = await db.getStats(period, tzOffset, recordFilters);
     console.log('Stats result:', stats);
     
-    const rankings = await db.getUserRankings(20, period, tzOffset);
+    // 排行榜成本为入库时逐条计算的成本之和
+    const rankings = await db.getUserRankings(20, period, tzOffset, parseSort(sort), recordFilters);
     console.log('Rankings count:', rankings?.length || 0);
     
-    const recent = await db.getRecentRecords(20, period, tzOffset);
+    const recent = await db.getRecentRecords(20, period, tzOffset, recordFilters);
     console.log('Recent records count:', recent?.length || 0);
 
-    // 计算排行榜中每个用户的成本（添加错误处理）
-    const rankingsWithCost = await Promise.all(rankings.map(async user => {
-      try {
-        const cost = await calculateCost({
-          input_tokens: user.total_input_tokens || 0,
-          output_tokens: user.total_output_tokens || 0,
-          cache_creation_tokens: user.total_cache_creation_tokens || 0,
-          cache_read_tokens: user.total_cache_read_tokens || 0,
-          model: user.primary_model || 'claude-3-5-sonnet-20241022'
-        });
-        return { ...user, total_cost: cost };
-      } catch (error) {
-        console.error('Error calculating cost for user:', user.username, error);
-        return { ...user, total_cost: 0 };
-      }
-    }));
+    // 上一个等长周期的统计和名次（period 为 all 时不比较）
+    const previous = getPreviousFilters(range, filters);
+    const [previousStats, rankingsWithChange] = await Promise.all([
+      previous && db.getStats('custom', tzOffset, previous.filters),
+      addRankChanges(rankings, previous, parseSort(sort)).then(addAchievements)
+    ]);
 
-    // 计算最近活动的成本（添加错误处理）
+    // 最近活动使用入库时保存的成本，尚未补算的旧记录按当前价格计算
     const recentWithCost = await Promise.all(recent.map(async record => {
       try {
-        const cost = await calculateCost(record);
+        const cost = record.cost ?? await calculateCost(record);
         return { ...record, cost };
       } catch (error) {
         console.error('Error calculating cost for record:', error);
@@ -59,16 +188,27 @@ router.get('/overview', async (req, res) => {
     }));
 
     res.json({
-      period,
+      ...describeRange(range),
+      ...filters,
       stats: {
         userCount: stats.user_count,
         recordCount: stats.record_count,
         totalTokens: stats.total_tokens,
         totalInput: stats.total_input,
         totalOutput: stats.total_output,
+        totalCost: stats.total_cost,
         sessionCount: stats.session_count
       },
-      rankings: rankingsWithCost,
+      previous: previous && { start: previous.start, end: previous.end },
+      changes: previousStats && {
+        userCount: getChange(stats.user_count, previousStats.user_count),
+        recordCount: getChange(stats.record_count, previousStats.record_count),
+        totalTokens: getChange(stats.total_tokens, previousStats.total_tokens),
+        totalCost: getChange(stats.total_cost, previousStats.total_cost),
+        sessionCount: getChange(stats.session_count, previousStats.session_count)
+      },
+      pricing: await getPricingBasis(),
+      rankings: rankingsWithChange,
       recent: recentWithCost
     });
   } catch (error) {
@@ -82,14 +222,24 @@ router.get('/overview', async (req, res) => {
 // 获取用户排行榜
 router.get('/rankings', async (req, res) => {
   try {
-    const { limit = 50, period = 'all', timezoneOffset = 0 } = req.query;
-    // 验证并限制时区偏移
-    let tzOffset = parseInt(timezoneOffset) || 0;
-    tzOffset = Math.max(-720, Math.min(840, tzOffset));
-    const rankings = await db.getUserRankings(parseInt(limit) || 50, period, tzOffset);
+    const { limit = 50, sort } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sortBy = parseSort(sort);
+    const filters = parseFilters(req.query);
+    const rankings = await db.getUserRankings(
+      parseInt(limit) || 50, range.period, range.timezoneOffset, sortBy, { ...filters, ...range }
+    );
+    const previous = getPreviousFilters(range, filters);
     
     res.json({
-      rankings,
+      rankings: await addAchievements(await addRankChanges(rankings, previous, sortBy)),
+      sort: sortBy,
+      previous: previous && { start: previous.start, end: previous.end },
+      ...describeRange(range),
+      ...filters,
       total: rankings.length,
       generated: new Date().toISOString()
     });
@@ -101,7 +251,212 @@ router.get('/rankings', async (req, res) => {
   }
 });
 
-// 获取特定用户统计
+// 获取团队排行（团队之间的对比）
+router.get('/teams', async (req, res) => {
+  try {
+    const { sort } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sortBy = parseSort(sort);
+    const { branch } = parseFilters(req.query);
+    const teams = await db.getTeamRankings(range.period, range.timezoneOffset, sortBy, { ...range, branch });
+    
+    res.json({
+      teams,
+      ...describeRange(range),
+      branch,
+      sort: sortBy,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Team rankings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get team rankings'
+    });
+  }
+});
+
+// 获取按项目汇总的用量
+router.get('/projects', async (req, res) => {
+  try {
+    const { username, limit = 50 } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const filters = parseFilters(req.query);
+    const projects = await db.getProjectStats(
+      { ...filters, ...range, username: username || null },
+      Math.min(parseInt(limit) || 50, 200)
+    );
+    
+    res.json({
+      projects,
+      ...describeRange(range),
+      ...filters,
+      username: username || null,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Project stats error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get project stats'
+    });
+  }
+});
+
+// 获取工具调用分布（全部用户合计以及每个用户）
+router.get('/tools', async (req, res) => {
+  try {
+    const { username } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const filters = parseFilters(req.query);
+    const { tools, byUser } = await db.getToolStats({
+      ...filters,
+      ...range,
+      username: username || null
+    });
+    
+    const totalCalls = tools.reduce((sum, tool) => sum + tool.call_count, 0);
+    const users = new Map();
+    for (const row of byUser) {
+      if (!users.has(row.username)) {
+        users.set(row.username, { username: row.username, totalCalls: 0, tools: {} });
+      }
+      const user = users.get(row.username);
+      user.tools[row.tool_name] = row.call_count;
+      user.totalCalls += row.call_count;
+    }
+    
+    res.json({
+      tools: tools.map(tool => ({
+        tool: tool.tool_name,
+        calls: tool.call_count,
+        users: tool.user_count,
+        share: totalCalls > 0 ? tool.call_count / totalCalls : 0
+      })),
+      users: [...users.values()].sort((a, b) => b.totalCalls - a.totalCalls),
+      totalCalls,
+      ...describeRange(range),
+      ...filters,
+      username: username || null,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Tool stats error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get tool stats'
+    });
+  }
+});
+
+// 获取活跃时段热力图（本地时间的星期 × 小时）
+router.get('/heatmap', async (req, res) => {
+  try {
+    const { username } = req.query;
+    const { range, error } = parseRange(req.query, '30d');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const filters = { ...parseFilters(req.query), username: username || null };
+    const rows = await db.getHourlyActivity({ ...filters, ...range });
+    
+    res.json({
+      tokens: buildHeatmap(rows, 'tokens'),
+      interactions: buildHeatmap(rows, 'interactions'),
+      weekdays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+      ...describeRange(range),
+      timezoneOffset: range.timezoneOffset,
+      ...filters,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Heatmap error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get heatmap'
+    });
+  }
+});
+
+// 获取会话列表
+router.get('/sessions', async (req, res) => {
+  try {
+    const { username, project, limit = 50 } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const filters = {
+      ...parseFilters(req.query),
+      username: username || null,
+      project: project || null
+    };
+    const sessions = await db.getSessions(
+      { ...filters, ...range },
+      Math.min(parseInt(limit) || 50, 500)
+    );
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        models: session.models ? session.models.split(',') : []
+      })),
+      ...describeRange(range),
+      ...filters,
+      total: sessions.length,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get sessions'
+    });
+  }
+});
+
+// 获取单个会话的逐条交互时间线
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || id.length > 200) {
+      return res.status(400).json({ 
+        error: 'Invalid session id'
+      });
+    }
+    
+    const [session] = await db.getSessions({ sessionId: id }, 1);
+    
+    if (!session) {
+      return res.status(404).json({ 
+        error: 'Session not found',
+        session_id: id
+      });
+    }
+    
+    const timeline = await db.getSessionTimeline(id);
+    
+    res.json({
+      session: {
+        ...session,
+        models: session.models ? session.models.split(',') : []
+      },
+      timeline
+    });
+  } catch (error) {
+    console.error('Session detail error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get session'
+    });
+  }
+});
+
+// 获取特定用户统计（时间范围参数与 /overview 相同，默认全部时间）
 router.get('/user/:username', async (req, res) => {
   try {
     const { username } = req.params;
@@ -113,26 +468,83 @@ router.get('/user/:username', async (req, res) => {
       });
     }
 
-    const stats = await db.getUserStats(username);
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const allTime = await db.getUserStats(username);
     
-    if (!stats) {
+    if (!allTime) {
       return res.status(404).json({ 
         error: 'User not found',
         username
       });
     }
 
+    const filters = { ...range };
+    const userFilters = { ...filters, username };
+    const allRange = !range.start && !range.end;
+    const [stats, daily, models, hourly, sessions, projects, rankHistory] = await Promise.all([
+      allRange ? allTime : db.getUserStats(username, filters),
+      db.getDailyUsage(userFilters),
+      db.getModelUsage(userFilters),
+      db.getHourlyActivity(userFilters),
+      db.getSessions(userFilters, 20),
+      db.getProjectStats(userFilters, 20),
+      db.getDailyRankHistory(username, filters)
+    ]);
+    const totals = stats || {};
+
     res.json({
-      username: stats.username,
+      username: allTime.username,
+      ...describeRange(range),
       stats: {
-        totalTokens: stats.total_tokens,
-        totalInput: stats.total_input,
-        totalOutput: stats.total_output,
-        sessionCount: stats.session_count,
-        recordCount: stats.record_count,
-        firstUse: stats.first_use,
-        lastUse: stats.last_use
-      }
+        totalTokens: totals.total_tokens || 0,
+        totalInput: totals.total_input || 0,
+        totalOutput: totals.total_output || 0,
+        totalCacheCreation: totals.total_cache_creation || 0,
+        totalCacheRead: totals.total_cache_read || 0,
+        cacheHitRatio: getCacheHitRatio(totals.total_input, totals.total_cache_creation, totals.total_cache_read),
+        totalCost: totals.total_cost || 0,
+        sessionCount: totals.session_count || 0,
+        recordCount: totals.record_count || 0,
+        firstUse: allTime.first_use,
+        lastUse: allTime.last_use
+      },
+      daily: daily.map(day => ({
+        date: day.date,
+        tokens: day.tokens,
+        cost: day.cost,
+        interactions: day.interactions,
+        cacheHitRatio: getCacheHitRatio(day.input_tokens, day.cache_creation_tokens, day.cache_read_tokens)
+      })),
+      models: models.map(model => ({
+        model: model.model,
+        tokens: model.tokens,
+        cost: model.cost,
+        interactions: model.interactions,
+        share: totals.total_tokens > 0 ? model.tokens / totals.total_tokens : 0
+      })),
+      heatmap: buildHeatmap(hourly),
+      sessions: sessions.map(session => ({
+        ...session,
+        models: session.models ? session.models.split(',') : []
+      })),
+      projects: projects.map(project => ({
+        project: project.project,
+        totalTokens: project.total_tokens,
+        totalCost: project.total_cost,
+        sessionCount: project.session_count,
+        recordCount: project.record_count,
+        lastActivity: project.last_activity
+      })),
+      rankHistory: rankHistory.map(day => ({
+        date: day.date,
+        rank: day.rank,
+        userCount: day.user_count,
+        tokens: day.tokens
+      }))
     });
   } catch (error) {
     console.error('User stats error:', error);
@@ -142,23 +554,112 @@ router.get('/user/:username', async (req, res) => {
   }
 });
 
+// 获取用户在每日 / 每周排名快照中的名次变化
+router.get('/user/:username/rank-history', async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { limit = 30 } = req.query;
+    const period = parseSnapshotPeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({ 
+        error: `period must be one of ${Object.keys(SNAPSHOT_PERIODS).join(', ')}`
+      });
+    }
+
+    const snapshots = await db.getRankSnapshots(username, period, Math.min(parseInt(limit) || 30, 365));
+    
+    res.json({
+      username,
+      period,
+      history: snapshots.map(row => ({
+        periodStart: row.period_start,
+        rank: row.rank,
+        userCount: row.user_count,
+        overallRank: row.overall_rank,
+        tokens: row.total_tokens,
+        cost: row.total_cost,
+        sessions: row.session_count
+      })),
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Rank history error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get rank history'
+    });
+  }
+});
+
+// 获取名次变化最大的用户（比较指定周期与上一个快照周期，默认最近一个周期）
+router.get('/movers', async (req, res) => {
+  try {
+    const { date, limit = 10 } = req.query;
+    const period = parseSnapshotPeriod(req.query.period);
+    if (!period) {
+      return res.status(400).json({ 
+        error: `period must be one of ${Object.keys(SNAPSHOT_PERIODS).join(', ')}`
+      });
+    }
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ 
+        error: 'date must be a date (YYYY-MM-DD)'
+      });
+    }
+
+    const [current, previous] = await db.getSnapshotPeriods(period, 2, date || null);
+    const movers = current && previous
+      ? await db.getRankMovers(period, current, previous, Math.min(parseInt(limit) || 10, 100))
+      : [];
+    
+    res.json({
+      period,
+      periodStart: current || null,
+      previousPeriodStart: previous || null,
+      movers: movers.map(row => ({
+        username: row.username,
+        rank: row.rank,
+        previousRank: row.previous_rank,
+        change: row.change,
+        tokens: row.total_tokens,
+        previousTokens: row.previous_tokens
+      })),
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Movers error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get rank movers'
+    });
+  }
+});
+
 // 获取趋势数据
 router.get('/trends', async (req, res) => {
   try {
-    const { days = 30, timezoneOffset = 0 } = req.query;
-    // 验证并限制时区偏移
-    let tzOffset = parseInt(timezoneOffset) || 0;
-    tzOffset = Math.max(-720, Math.min(840, tzOffset));
-    const trends = await db.getTrends(parseInt(days) || 30, tzOffset);
+    const { days = 30 } = req.query;
+    const { range, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // 未指定 period / from / to 时返回最近 days 天
+    const byRange = Boolean(req.query.period || range.from || range.to);
+    const filters = parseFilters(req.query);
+    const trends = await db.getTrends(
+      parseInt(days) || 30,
+      range.timezoneOffset,
+      byRange ? { ...filters, ...range } : { ...filters, timeZone: range.timeZone }
+    );
     
     res.json({
       trends: trends.map(item => ({
         date: item.date,
         users: item.users,
         tokens: item.tokens,
+        cost: item.cost,
         interactions: item.interactions
       })),
-      period: `${days} days`,
+      ...(byRange ? describeRange(range) : { period: `${days} days`, tz: range.timeZone }),
+      ...filters,
       generated: new Date().toISOString()
     });
   } catch (error) {
@@ -188,6 +689,24 @@ router.get('/activity', async (req, res) => {
   }
 });
 
+// 获取价格快照历史及每次变化
+router.get('/pricing/history', async (req, res) => {
+  try {
+    const snapshots = await getPricingHistory();
+    
+    res.json({
+      snapshots,
+      count: snapshots.length,
+      generated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Pricing history error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get pricing history'
+    });
+  }
+});
+
 // 获取存储配置
 router.get('/config', async (req, res) => {
   try {
@@ -220,8 +739,9 @@ router.get('/debug', async (req, res) => {
     const pricingPath = path.join(dataDir, 'pricing.json');
     
     let pricingExists = false;
+    let pricingInfo = {};
     try {
-      await fs.access(pricingPath);
+      pricingInfo = JSON.parse(await fs.readFile(pricingPath, 'utf-8'));
       pricingExists = true;
     } catch (e) {
       pricingExists = false;
@@ -239,6 +759,13 @@ router.get('/debug', async (req, res) => {
         pricing_file: pricingPath,
         pricing_exists: pricingExists
       },
+      pricing: {
+        configured_provider: process.env.PRICING_PROVIDER || 'web',
+        available_providers: listPricingProviders(),
+        provider: pricingInfo.provider || null,
+        source: pricingInfo.source || null,
+        updated: pricingInfo.updated || null
+      },
       database: {
         tables: tables.map(t => t.name),
         user_count: userCount?.count || 0,
@@ -1,12 +1,90 @@
 import { Router } from 'express';
 import db from '../db/database.js';
+import { calculateCost } from '../utils/pricing.js';
+import {
+  isOpenMode,
+  generateToken,
+  hashToken,
+  getBearerToken,
+  verifyUserToken
+} from '../utils/auth.js';
+import { isValidUsername, isValidTeamName } from '../utils/validation.js';
+import { evaluateBudgets } from '../utils/budgets.js';
+import { emitRankChange, emitDailyUsageThresholds, emitBudgetAlerts } from '../utils/webhooks.js';
+import { evaluateAchievements } from '../utils/achievements.js';
 
 const router = Router();
 
-// 提交使用数据 (无需认证)
+// 可选的字符串字段：非字符串或空串时为 null，超长时截断
+function optionalString(value, maxLength) {
+  return typeof value === 'string' && value ? value.slice(0, maxLength) : null;
+}
+
+// 工具调用次数 { 工具名: 次数 }，忽略非法项
+function parseToolCounts(tools) {
+  if (!tools || typeof tools !== 'object' || Array.isArray(tools)) return {};
+
+  const counts = {};
+  for (const [name, count] of Object.entries(tools).slice(0, 100)) {
+    const calls = parseInt(count);
+    if (name && name.length <= 100 && calls > 0) {
+      counts[name] = calls;
+    }
+  }
+  return counts;
+}
+
+// 注册用户名并签发 token
+router.post('/register', async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ 
+        error: 'Invalid username',
+        details: 'Username must be between 1 and 50 characters'
+      });
+    }
+
+    // 已注册的用户名只能凭旧 token 轮换
+    const existing = await db.getUserToken(username);
+    if (existing && !await verifyUserToken(username, getBearerToken(req))) {
+      return res.status(409).json({ 
+        error: 'Username already registered',
+        details: 'Send the current token as a Bearer header to rotate it, or ask an admin to reset it'
+      });
+    }
+
+    // 启用 token 之前已有使用记录的用户名不能自助注册，需由管理员签发 token
+    if (!existing && await db.userExists(username)) {
+      return res.status(409).json({ 
+        error: 'Username has existing usage data',
+        details: 'Ask an admin to issue a token for this username'
+      });
+    }
+
+    const token = generateToken();
+    await db.saveUserToken(username, hashToken(token));
+
+    res.json({ 
+      success: true,
+      username,
+      token,
+      rotated: !!existing
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      error: 'Failed to register user',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 提交使用数据 (开放模式下无需认证)
 router.post('/submit', async (req, res) => {
   try {
-    const { username, usage } = req.body;
+    const { username, team, usage } = req.body;
 
     // 基础验证
     if (!username || !usage) {
@@ -17,13 +95,21 @@ router.post('/submit', async (req, res) => {
     }
 
     // 验证用户名格式
-    if (typeof username !== 'string' || username.length < 1 || username.length > 50) {
+    if (!isValidUsername(username)) {
       return res.status(400).json({ 
         error: 'Invalid username',
         details: 'Username must be between 1 and 50 characters'
       });
     }
 
+    // 校验 token 与用户名是否匹配
+    if (!isOpenMode() && !await verifyUserToken(username, getBearerToken(req))) {
+      return res.status(401).json({ 
+        error: 'Invalid or missing token',
+        details: 'Run `claude-stats init` to register a token for this username'
+      });
+    }
+
     // 处理单条或批量数据
     const records = Array.isArray(usage) ? usage : [usage];
     
@@ -67,7 +153,7 @@ router.post('/submit', async (req, res) => {
       // 确保 tokens 是对象
       const tokens = record.tokens || {};
       
-      dbRecords.push({
+      const dbRecord = {
         username,
         timestamp: normalizedTimestamp,
         input_tokens: parseInt(tokens.input) || 0,
@@ -76,8 +162,17 @@ router.post('/submit', async (req, res) => {
         cache_read_tokens: parseInt(tokens.cache_read) || 0,
         model: record.model || 'unknown',
         session_id: record.session_id || null,
-        interaction_hash: record.interaction_hash || record.interaction_id || null
-      });
+        interaction_hash: record.interaction_hash || record.interaction_id || null,
+        project: optionalString(record.project, 200),
+        git_branch: optionalString(record.git_branch, 200),
+        cwd: optionalString(record.cwd, 1000),
+        client_version: optionalString(record.client_version, 50),
+        tools: parseToolCounts(record.tools)
+      };
+      
+      // 按提交时生效的价格计算并保存单条记录成本
+      dbRecord.cost = await calculateCost(dbRecord);
+      dbRecords.push(dbRecord);
     }
 
     if (dbRecords.length === 0) {
@@ -86,20 +181,54 @@ router.post('/submit', async (req, res) => {
       });
     }
 
+    // 记录客户端上报的团队，未上报或为空时退出客户端设置的团队（管理员指定的团队优先）
+    if (isValidTeamName(team)) {
+      await db.setUserTeam(username, team.trim(), 'client');
+    } else if (team === undefined || team === null || (typeof team === 'string' && !team.trim())) {
+      await db.removeUserTeam(username, 'client');
+    }
+
+    // 记录提交前的第一名，用于检测排行榜易主
+    const previousLeader = await db.getRankingLeader();
+
     // 批量插入数据
     const result = await db.insertBatch(dbRecords);
     
-    // 异步更新日统计（不影响响应）
-    db.updateDailyStats().catch(error => {
-      console.error('Failed to update daily stats:', error);
-    });
+    // 异步更新日统计，汇总后检查团队当日用量阈值（不影响响应）
+    db.updateDailyStats()
+      .then(date => emitDailyUsageThresholds(date))
+      .catch(error => {
+        console.error('Failed to update daily stats:', error);
+      });
+
+    // 评估预算，告警通过 warnings 返回给客户端（评估失败不影响提交）
+    let warnings = [];
+    if (result.inserted > 0) {
+      try {
+        const evaluation = await evaluateBudgets(username);
+        warnings = evaluation.warnings;
+        await emitBudgetAlerts(evaluation.alerts);
+      } catch (error) {
+        console.error('Failed to evaluate budgets:', error);
+      }
+
+      emitRankChange(previousLeader).catch(error => {
+        console.error('Failed to emit rank change:', error);
+      });
+
+      // 评估成就（不影响响应）
+      evaluateAchievements(username).catch(error => {
+        console.error('Failed to evaluate achievements:', error);
+      });
+    }
 
     res.json({ 
       success: true,
       message: 'Data submitted successfully',
       inserted: result.inserted,
       skipped: result.total - result.inserted,
-      total: result.total
+      total: result.total,
+      warnings
     });
 
   } catch (error) {
@@ -116,6 +245,7 @@ router.get('/info', (req, res) => {
   res.json({
     version: '1.0.0',
     accepting_submissions: true,
+    auth_required: !isOpenMode(),
     max_batch_size: 1000,
     supported_models: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku', 'unknown']
   });
@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import db from '../db/database.js';
+import { ACHIEVEMENTS, toPublicAchievement } from '../utils/achievements.js';
+
+const router = Router();
+
+// 获取用户的成就（包含尚未获得的成就，awarded 为是否已获得）
+router.get('/:username/achievements', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!username || username.length > 50) {
+      return res.status(400).json({
+        error: 'Invalid username'
+      });
+    }
+
+    if (!await db.userExists(username)) {
+      return res.status(404).json({
+        error: 'User not found',
+        username
+      });
+    }
+
+    const earned = new Map(
+      (await db.getUserAchievements(username)).map(row => [row.achievement_id, row.awarded_at])
+    );
+
+    res.json({
+      username,
+      earned: earned.size,
+      total: ACHIEVEMENTS.length,
+      achievements: ACHIEVEMENTS.map(achievement => ({
+        ...toPublicAchievement(achievement),
+        awarded: earned.has(achievement.id),
+        awardedAt: earned.get(achievement.id) || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get achievements error:', error);
+    res.status(500).json({
+      error: 'Failed to get achievements'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,98 @@
+// 预算测试：50% / 80% / 100% 告警每个周期只触发一次，用户预算和团队预算分别统计
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-budgets-'));
+
+const { default: db } = await import('../db/database.js');
+const { evaluateBudgets } = await import('../utils/budgets.js');
+
+let recordCount = 0;
+
+// 提交一条指定成本的记录
+const spend = async (username, cost) => {
+  await db.insertBatch([{
+    username,
+    timestamp: new Date().toISOString(),
+    input_tokens: 100,
+    output_tokens: 50,
+    model: 'claude-3-5-sonnet-20241022',
+    session_id: `${username}-session`,
+    interaction_hash: `${username}-${recordCount++}`,
+    cost
+  }]);
+};
+
+const summarize = (alerts) => alerts.map(alert => `${alert.username || 'team'}:${alert.threshold}`);
+
+let aliceBudget;
+let teamBudget;
+
+before(async () => {
+  await db.init();
+  aliceBudget = await db.saveBudget({ username: 'alice', period: 'daily', limit_usd: 10 });
+  await db.saveBudget({ username: 'bob', period: 'daily', limit_usd: 100 });
+  teamBudget = await db.saveBudget({ period: 'daily', limit_usd: 100 });
+});
+
+after(async () => {
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('thresholds alert once each as spending grows', async () => {
+  await spend('alice', 5);
+  let result = await evaluateBudgets('alice');
+  assert.deepEqual(summarize(result.alerts), ['alice:50']);
+  assert.deepEqual(result.warnings.map(warning => warning.threshold), [50]);
+
+  // 一次跨过两个阈值时两个都记录，只返回最高的警告
+  await spend('alice', 5);
+  result = await evaluateBudgets('alice');
+  assert.deepEqual(summarize(result.alerts), ['alice:80', 'alice:100']);
+  assert.deepEqual(result.warnings.map(warning => warning.threshold), [100]);
+
+  // 已告警的阈值不再记录，超出预算的警告继续返回
+  await spend('alice', 1);
+  result = await evaluateBudgets('alice');
+  assert.deepEqual(result.alerts, []);
+  assert.deepEqual(result.warnings.map(warning => warning.threshold), [100]);
+
+  const stored = await db.db.get('SELECT COUNT(*) as count FROM budget_alerts WHERE budget_id = ?', [aliceBudget.id]);
+  assert.equal(stored.count, 3);
+});
+
+test('user and team budgets are tracked separately', async () => {
+  // bob 的花费计入团队预算，不计入 alice 的预算
+  await spend('bob', 40);
+  let result = await evaluateBudgets('bob');
+  assert.deepEqual(summarize(result.alerts), ['team:50']);
+  assert.equal(result.warnings[0].scope, 'team');
+  assert.equal(result.alerts[0].spent, 51);
+
+  result = await evaluateBudgets('alice');
+  assert.deepEqual(result.alerts, []);
+  assert.deepEqual(result.warnings.map(warning => `${warning.scope}:${warning.threshold}`), ['user:100']);
+  assert.equal(result.warnings[0].spent, 11);
+});
+
+test('thresholds alert again in the next period', async () => {
+  // 把已有告警移到上一个周期，当前周期视为尚未告警
+  await db.run("UPDATE budget_alerts SET period_start = datetime(period_start, '-1 day')");
+
+  const result = await evaluateBudgets('alice');
+  assert.deepEqual(summarize(result.alerts), ['team:50', 'alice:50', 'alice:80', 'alice:100']);
+
+  const counts = await db.db.all(`
+    SELECT budget_id, COUNT(*) as count FROM budget_alerts GROUP BY budget_id ORDER BY budget_id
+  `);
+  assert.deepEqual(counts, [
+    { budget_id: aliceBudget.id, count: 6 },
+    { budget_id: teamBudget.id, count: 2 }
+  ]);
+});
@@ -0,0 +1,75 @@
+// 价格历史测试：记录按其时间戳生效的价格快照计费，成本补算按 id 分页覆盖全部记录
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-pricing-'));
+
+const { default: db } = await import('../db/database.js');
+const { calculateCost, backfillRecordCosts } = await import('../utils/pricing.js');
+
+const MODEL = 'claude-3-opus-20240229';
+// 价格缺失的模型：价格项不是数字，计算结果为 NaN
+const BROKEN_MODEL = 'broken-model';
+const PRICE_CHANGE = '2025-01-01T00:00:00.000Z';
+
+const priceTable = (input) => ({
+  [MODEL]: { input, output: 0, cache_write: 0, cache_read: 0 },
+  [BROKEN_MODEL]: { input: 'n/a', output: 'n/a', cache_write: 'n/a', cache_read: 'n/a' },
+  default: { input: 1, output: 0, cache_write: 0, cache_read: 0 }
+});
+
+// 100 万 input token，成本等于每百万 token 的 input 价格
+const usage = (timestamp, model = MODEL) => ({ timestamp, model, input_tokens: 1000000, output_tokens: 0 });
+
+before(async () => {
+  await db.init();
+  await db.savePricingSnapshot(priceTable(10), 'test', '1970-01-01T00:00:00.000Z');
+  await db.savePricingSnapshot(priceTable(20), 'test', PRICE_CHANGE);
+});
+
+after(async () => {
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('records are priced at the snapshot in effect at their timestamp', async () => {
+  assert.equal(await calculateCost(usage('2024-06-01T00:00:00.000Z')), 10);
+  assert.equal(await calculateCost(usage('2024-12-31T23:59:59.999Z')), 10);
+  assert.equal(await calculateCost(usage(PRICE_CHANGE)), 20);
+  assert.equal(await calculateCost(usage('2025-06-01T00:00:00.000Z')), 20);
+});
+
+test('backfill pages through every record and stores non-finite costs as 0', async () => {
+  // 超过两页（每页 500 条），偶数条在调价前，调价后的记录中每 5 条有 1 条价格缺失
+  const records = Array.from({ length: 1100 }, (_, index) => ({
+    ...usage(index % 2 === 0 ? '2024-06-01T00:00:00.000Z' : '2025-06-01T00:00:00.000Z', index % 10 === 9 ? BROKEN_MODEL : MODEL),
+    username: 'alice',
+    session_id: 'session',
+    interaction_hash: `hash-${index}`
+  }));
+  await db.insertBatch(records);
+
+  assert.equal(await backfillRecordCosts(), 1100);
+
+  const costs = await db.db.all(`
+    SELECT model, timestamp < ? as before_change, cost, COUNT(*) as count
+    FROM usage_records
+    GROUP BY model, before_change, cost
+    ORDER BY model, before_change
+  `, [PRICE_CHANGE]);
+  assert.deepEqual(costs, [
+    { model: BROKEN_MODEL, before_change: 0, cost: 0, count: 110 },
+    { model: MODEL, before_change: 0, cost: 20, count: 440 },
+    { model: MODEL, before_change: 1, cost: 10, count: 550 }
+  ]);
+
+  // 已补算的记录（包括按 0 保存的）不会再次被选中
+  assert.equal(await backfillRecordCosts(), 0);
+  const user = await db.db.get("SELECT total_cost FROM users WHERE username = 'alice'");
+  assert.equal(user.total_cost, 440 * 20 + 550 * 10);
+});
@@ -0,0 +1,84 @@
+// 价格覆盖测试：直接编辑覆盖文件后，已保存的记录成本按新价格重新计算
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-overrides-'));
+
+const { default: db } = await import('../db/database.js');
+const { calculateCost, getPricingBasis } = await import('../utils/pricing.js');
+const { loadPricingOverrides, savePricingOverrides, getOverridesPath } = await import('../utils/pricingOverrides.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getTotalCost = async () => (await db.db.get('SELECT SUM(cost) as total FROM usage_records')).total;
+
+// 等待后台重算完成并返回总成本
+const waitForTotalCost = async (expected, timeout = 5000) => {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    const total = await getTotalCost();
+    if (Math.abs(total - expected) < 1e-9 && !(await getPricingBasis()).recalculating) return total;
+    await sleep(50);
+  }
+  assert.fail(`Total cost ${await getTotalCost()} did not reach ${expected}`);
+};
+
+let listTotal;
+
+before(async () => {
+  await db.init();
+  await loadPricingOverrides();
+
+  const records = [];
+  for (let index = 0; index < 1200; index++) {
+    const record = {
+      username: 'alice',
+      timestamp: new Date().toISOString(),
+      input_tokens: 1000,
+      output_tokens: 1000,
+      model: 'claude-3-opus-20240229',
+      session_id: 'session',
+      interaction_hash: `hash-${index}`
+    };
+    record.cost = await calculateCost(record);
+    records.push(record);
+  }
+  await db.insertBatch(records);
+  listTotal = await getTotalCost();
+});
+
+after(async () => {
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('editing the overrides file recalculates stored costs', async () => {
+  await fs.writeFile(getOverridesPath(), JSON.stringify({ discount_percent: 50 }));
+  await loadPricingOverrides({ force: true });
+
+  await waitForTotalCost(listTotal / 2);
+  assert.equal((await getPricingBasis()).basis, 'contracted');
+});
+
+test('removing the overrides file restores list prices', async () => {
+  await fs.rm(getOverridesPath());
+  await loadPricingOverrides({ force: true });
+
+  await waitForTotalCost(listTotal);
+  assert.equal((await getPricingBasis()).basis, 'list');
+});
+
+test('reloading an unchanged file does not recalculate', async () => {
+  await savePricingOverrides({ discount_percent: 25 });
+  await loadPricingOverrides({ force: true });
+  await sleep(100);
+
+  // 通过 savePricingOverrides 保存时由接口负责重算，文件未再变化，成本保持标价
+  assert.equal(await getTotalCost(), listTotal);
+  assert.equal((await getPricingBasis()).recalculating, false);
+});
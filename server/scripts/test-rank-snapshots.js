@@ -0,0 +1,72 @@
+// 排名快照测试：快照任务与启动时的成本补算、成就评估以及新提交的数据同时运行
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-snapshots-'));
+
+const { default: db } = await import('../db/database.js');
+const { snapshotRankings } = await import('../utils/rankSnapshots.js');
+const { backfillRecordCosts } = await import('../utils/pricing.js');
+const { evaluateAllAchievements } = await import('../utils/achievements.js');
+
+const createRecords = (username, count, offset = 0) => Array.from({ length: count }, (_, index) => ({
+  username,
+  timestamp: new Date(Date.now() - (offset + index) * 60 * 1000).toISOString(),
+  input_tokens: 1000,
+  output_tokens: 500,
+  model: 'claude-3-5-sonnet-20241022',
+  session_id: `${username}-session`,
+  interaction_hash: `${username}-${offset + index}`
+}));
+
+before(async () => {
+  await db.init();
+  // 未计算成本的旧记录，启动时由 backfillRecordCosts 补算
+  for (const username of ['alice', 'bob', 'carol']) {
+    await db.insertBatch(createRecords(username, 600));
+  }
+});
+
+after(async () => {
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('snapshots run alongside startup jobs and submissions', async () => {
+  const results = await Promise.allSettled([
+    snapshotRankings(),
+    backfillRecordCosts(),
+    evaluateAllAchievements(),
+    db.insertBatch(createRecords('dave', 200)),
+    db.saveRankSnapshot('daily', '2000-01-01', 'UTC', [{ username: 'alice', rank: 1, total_tokens: 1 }]),
+    db.renameUser('carol', 'caroline'),
+    db.insertBatch(createRecords('alice', 100, 600))
+  ]);
+
+  assert.deepEqual(results.filter(result => result.status === 'rejected').map(result => result.reason?.message), []);
+
+  const records = await db.db.get('SELECT COUNT(*) as count FROM usage_records');
+  assert.equal(records.count, 3 * 600 + 200 + 100);
+  assert.equal(await db.userExists('carol'), false);
+
+  const snapshots = await db.db.all('SELECT DISTINCT period FROM rank_snapshots ORDER BY period');
+  assert.deepEqual(snapshots.map(row => row.period), ['daily', 'weekly']);
+});
+
+test('snapshot runs are not interleaved', async () => {
+  const [first, second] = await Promise.all([snapshotRankings(), snapshotRankings()]);
+  assert.ok(first.length > 0);
+  assert.deepEqual(second, []);
+
+  const duplicates = await db.db.get(`
+    SELECT COUNT(*) as count FROM (
+      SELECT 1 FROM rank_snapshots GROUP BY period, period_start, username HAVING COUNT(*) > 1
+    )
+  `);
+  assert.equal(duplicates.count, 0);
+});
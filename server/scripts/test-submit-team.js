@@ -0,0 +1,100 @@
+// 提交数据时的团队归属测试：客户端上报的团队、管理员指定的团队优先、未上报时退出客户端团队
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-team-'));
+process.env.OPEN_MODE = 'true';
+
+const { default: db } = await import('../db/database.js');
+const { default: usageRoutes } = await import('../routes/usage.js');
+
+let server;
+let baseUrl;
+let recordCount = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 提交一条记录，team 为 undefined 时不发送该字段
+const submit = async (username, team, usage = null) => {
+  const body = {
+    username,
+    team,
+    usage: usage || {
+      timestamp: new Date().toISOString(),
+      tokens: { input: 100, output: 50 },
+      model: 'claude-3-5-sonnet-20241022',
+      session_id: 'session',
+      interaction_hash: `hash-${recordCount++}`
+    }
+  };
+  const response = await fetch(`${baseUrl}/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.status;
+};
+
+const getTeam = async (username) => {
+  return await db.db.get('SELECT team, source FROM team_members WHERE username = ?', [username]) || null;
+};
+
+before(async () => {
+  await db.init();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/usage', usageRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/usage`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  // 等待提交后在后台运行的日统计和成就评估结束
+  await sleep(200);
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('client team is set, changed and cleared when not sent', async () => {
+  assert.equal(await submit('alice', 'alpha'), 200);
+  assert.deepEqual(await getTeam('alice'), { team: 'alpha', source: 'client' });
+
+  assert.equal(await submit('alice', ' beta '), 200);
+  assert.deepEqual(await getTeam('alice'), { team: 'beta', source: 'client' });
+
+  assert.equal(await submit('alice', undefined), 200);
+  assert.equal(await getTeam('alice'), null);
+
+  await submit('alice', 'alpha');
+  assert.equal(await submit('alice', ''), 200);
+  assert.equal(await getTeam('alice'), null);
+});
+
+test('admin team takes precedence over the client team', async () => {
+  await submit('bob', 'alpha');
+  await db.setUserTeam('bob', 'gamma', 'admin');
+  assert.deepEqual(await getTeam('bob'), { team: 'gamma', source: 'admin' });
+
+  assert.equal(await submit('bob', 'alpha'), 200);
+  assert.deepEqual(await getTeam('bob'), { team: 'gamma', source: 'admin' });
+
+  // 客户端不再上报团队时不影响管理员指定的团队
+  assert.equal(await submit('bob', undefined), 200);
+  assert.deepEqual(await getTeam('bob'), { team: 'gamma', source: 'admin' });
+});
+
+test('rejected submissions do not change the team', async () => {
+  await submit('carol', 'alpha');
+
+  assert.equal(await submit('carol', 'beta', { timestamp: 'not a date', tokens: { input: 1 } }), 400);
+  assert.deepEqual(await getTeam('carol'), { team: 'alpha', source: 'client' });
+});
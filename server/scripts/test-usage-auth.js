@@ -0,0 +1,119 @@
+// 用户 token 测试：注册、凭旧 token 轮换、已有使用记录的用户名拒绝注册、提交数据时校验 token
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-auth-'));
+delete process.env.OPEN_MODE;
+
+const { default: db } = await import('../db/database.js');
+const { default: usageRoutes } = await import('../routes/usage.js');
+
+let server;
+let baseUrl;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const post = async (pathname, body, token = null) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${pathname}`, { method: 'POST', headers, body: JSON.stringify(body) });
+  return { status: response.status, body: await response.json() };
+};
+
+const usage = (hash) => ({
+  timestamp: new Date().toISOString(),
+  tokens: { input: 100, output: 50 },
+  model: 'claude-3-5-sonnet-20241022',
+  session_id: 'session',
+  interaction_hash: hash
+});
+
+before(async () => {
+  await db.init();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/usage', usageRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/usage`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  // 等待提交后在后台运行的日统计和成就评估结束
+  await sleep(200);
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('registering a new username issues a token that can submit', async () => {
+  const registered = await post('/register', { username: 'alice' });
+  assert.equal(registered.status, 200);
+  assert.equal(registered.body.rotated, false);
+  assert.match(registered.body.token, /^cst_[0-9a-f]{48}$/);
+
+  const submitted = await post('/submit', { username: 'alice', usage: usage('alice-1') }, registered.body.token);
+  assert.equal(submitted.status, 200);
+  assert.equal(submitted.body.inserted, 1);
+});
+
+test('registered username can only be rotated with the current token', async () => {
+  const { body: { token: original } } = await post('/register', { username: 'bob' });
+
+  const withoutToken = await post('/register', { username: 'bob' });
+  assert.equal(withoutToken.status, 409);
+  assert.equal(withoutToken.body.error, 'Username already registered');
+
+  const wrongToken = await post('/register', { username: 'bob' }, 'cst_wrong');
+  assert.equal(wrongToken.status, 409);
+
+  const rotated = await post('/register', { username: 'bob' }, original);
+  assert.equal(rotated.status, 200);
+  assert.equal(rotated.body.rotated, true);
+  assert.notEqual(rotated.body.token, original);
+
+  // 轮换后旧 token 失效
+  assert.equal((await post('/submit', { username: 'bob', usage: usage('bob-1') }, original)).status, 401);
+  assert.equal((await post('/submit', { username: 'bob', usage: usage('bob-1') }, rotated.body.token)).status, 200);
+});
+
+test('username with existing usage data cannot self-register', async () => {
+  await db.insertBatch([{
+    username: 'carol',
+    timestamp: new Date().toISOString(),
+    input_tokens: 100,
+    output_tokens: 50,
+    model: 'claude-3-5-sonnet-20241022',
+    session_id: 'session',
+    interaction_hash: 'carol-1',
+    cost: 0.01
+  }]);
+
+  const registered = await post('/register', { username: 'carol' });
+  assert.equal(registered.status, 409);
+  assert.equal(registered.body.error, 'Username has existing usage data');
+  assert.equal(await db.getUserToken('carol'), undefined);
+});
+
+test('submit rejects missing and mismatched tokens', async () => {
+  const { body: { token } } = await post('/register', { username: 'dave' });
+
+  const missing = await post('/submit', { username: 'dave', usage: usage('dave-1') });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.error, 'Invalid or missing token');
+
+  // 其他用户的 token 不能用来提交
+  const otherUser = await post('/submit', { username: 'alice', usage: usage('dave-2') }, token);
+  assert.equal(otherUser.status, 401);
+
+  const records = await db.db.get("SELECT COUNT(*) as count FROM usage_records WHERE interaction_hash LIKE 'dave-%'");
+  assert.equal(records.count, 0);
+});
@@ -0,0 +1,67 @@
+// 用户合并测试：记录和成就转移到目标用户，原用户的 token 和排名快照直接删除
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-merge-'));
+
+const { default: db } = await import('../db/database.js');
+const { hashToken, verifyUserToken } = await import('../utils/auth.js');
+
+const createRecords = (username, count) => Array.from({ length: count }, (_, index) => ({
+  username,
+  timestamp: new Date(Date.now() - index * 60 * 1000).toISOString(),
+  input_tokens: 100,
+  output_tokens: 50,
+  model: 'claude-3-5-sonnet-20241022',
+  session_id: `${username}-session`,
+  interaction_hash: `${username}-${index}`,
+  cost: 0.01
+}));
+
+const snapshot = (username, rank) => ({ username, rank, total_tokens: 1000, total_cost: 1, session_count: 1, overall_rank: rank });
+
+before(async () => {
+  await db.init();
+  await db.insertBatch(createRecords('old-name', 3));
+  await db.insertBatch(createRecords('new-name', 2));
+
+  // 只有 source 有 token，target 没有
+  await db.saveUserToken('old-name', hashToken('source-token'));
+  await db.awardAchievement('old-name', 'first_session');
+
+  // source 在 target 没有快照的周期里有名次
+  await db.saveRankSnapshot('daily', '2026-01-01', 'UTC', [snapshot('old-name', 1)]);
+  await db.saveRankSnapshot('daily', '2026-01-02', 'UTC', [snapshot('old-name', 1), snapshot('new-name', 2)]);
+
+  await db.mergeUsers('old-name', 'new-name');
+});
+
+after(async () => {
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('merge moves records and achievements to the target', async () => {
+  const records = await db.db.all('SELECT username, COUNT(*) as count FROM usage_records GROUP BY username');
+  assert.deepEqual(records, [{ username: 'new-name', count: 5 }]);
+
+  const achievements = await db.db.all('SELECT username FROM user_achievements');
+  assert.deepEqual(achievements, [{ username: 'new-name' }]);
+  assert.equal(await db.userExists('old-name'), false);
+});
+
+test('merge deletes the source token instead of moving it', async () => {
+  assert.equal(await db.getUserToken('new-name'), undefined);
+  assert.equal(await db.getUserToken('old-name'), undefined);
+  assert.equal(await verifyUserToken('new-name', 'source-token'), false);
+});
+
+test('merge deletes the source rank snapshots instead of moving them', async () => {
+  const rows = await db.db.all('SELECT username, period_start, rank FROM rank_snapshots ORDER BY period_start');
+  assert.deepEqual(rows, [{ username: 'new-name', period_start: '2026-01-02', rank: 2 }]);
+});
@@ -0,0 +1,164 @@
+// Webhook 投递测试：在本地 HTTP 服务上验证重试退避、测试事件和各格式的签名
+// 运行：npm test（使用临时数据目录，不影响 DATA_DIR 中的数据）
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'claude-stats-webhooks-'));
+
+const { default: db } = await import('../db/database.js');
+const { emitEvent, emitTestEvent, processDeliveryQueue, TEST_EVENT } = await import('../utils/webhooks.js');
+
+const SECRET = 'test-secret';
+const hmac = (key, data, encoding) => crypto.createHmac('sha256', key).update(data).digest(encoding);
+
+// 收到的请求；/fail 总是返回 500，/flaky 第一次返回 500
+const requests = [];
+let flakyCalls = 0;
+let server;
+let baseUrl;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 等待投递完成（emitEvent 会在后台开始处理队列）
+const waitForDelivery = async (webhookId, check, timeout = 5000) => {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    await processDeliveryQueue();
+    const [delivery] = await db.getWebhookDeliveries(webhookId, 1);
+    if (delivery && check(delivery)) return delivery;
+    await sleep(50);
+  }
+  assert.fail(`Delivery for webhook ${webhookId} did not reach the expected state`);
+};
+
+// 检查下次重试距现在的秒数（时间精确到秒，允许 1 秒误差）
+const assertRetryDelay = async (deliveryId, expected) => {
+  const { delay } = await db.db.get(`
+    SELECT strftime('%s', next_attempt_at) - strftime('%s', 'now') as delay
+    FROM webhook_deliveries WHERE id = ?
+  `, [deliveryId]);
+  assert.ok(delay >= expected - 1 && delay <= expected, `retry delay ${delay}s, expected ${expected}s`);
+};
+
+// 让等待重试的投递立即到期
+const makeDue = async (deliveryId) => {
+  await db.run("UPDATE webhook_deliveries SET next_attempt_at = datetime('now', '-1 seconds') WHERE id = ?", [deliveryId]);
+};
+
+before(async () => {
+  await db.init();
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+      let status = 200;
+      if (url.pathname === '/fail') status = 500;
+      if (url.pathname === '/flaky' && flakyCalls++ === 0) status = 500;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+  await fs.rm(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const lastRequest = (pathname) => requests.filter(request => request.path === pathname).at(-1);
+
+test('generic webhook signs the body with HMAC-SHA256', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/generic`, events: ['rank.first'], secret: SECRET });
+
+  await emitEvent('rank.first', { username: 'alice' }, { text: 'alice is first' });
+  await waitForDelivery(webhook.id, delivery => delivery.status === 'delivered');
+
+  const request = lastRequest('/generic');
+  const payload = JSON.parse(request.body);
+  assert.equal(request.headers['x-claude-stats-event'], 'rank.first');
+  assert.equal(request.headers['x-claude-stats-signature'], `sha256=${hmac(SECRET, request.body, 'hex')}`);
+  assert.equal(payload.event, 'rank.first');
+  assert.deepEqual(payload.data, { username: 'alice' });
+});
+
+test('test event uses webhook.test and only reaches the tested webhook', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/tested`, events: ['budget.alert'] });
+  await db.createWebhook({ url: `${baseUrl}/other`, events: ['budget.alert'] });
+
+  assert.equal(await emitTestEvent(webhook), true);
+  await waitForDelivery(webhook.id, delivery => delivery.status === 'delivered');
+
+  const request = lastRequest('/tested');
+  assert.equal(request.headers['x-claude-stats-event'], TEST_EVENT);
+  assert.equal(JSON.parse(request.body).event, TEST_EVENT);
+  assert.equal(lastRequest('/other'), undefined);
+});
+
+test('feishu webhook signs timestamp and secret', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/feishu`, format: 'feishu', events: ['rank.first'], secret: SECRET });
+
+  await emitTestEvent(webhook);
+  await waitForDelivery(webhook.id, delivery => delivery.status === 'delivered');
+
+  const body = JSON.parse(lastRequest('/feishu').body);
+  assert.equal(body.msg_type, 'text');
+  assert.equal(body.sign, hmac(`${body.timestamp}\n${SECRET}`, '', 'base64'));
+});
+
+test('dingtalk webhook signs the URL query', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/dingtalk?access_token=abc`, format: 'dingtalk', events: ['rank.first'], secret: SECRET });
+
+  await emitTestEvent(webhook);
+  await waitForDelivery(webhook.id, delivery => delivery.status === 'delivered');
+
+  const { query, body } = lastRequest('/dingtalk');
+  const timestamp = query.get('timestamp');
+  assert.equal(query.get('access_token'), 'abc');
+  assert.equal(query.get('sign'), hmac(SECRET, `${timestamp}\n${SECRET}`, 'base64'));
+  assert.equal(JSON.parse(body).msgtype, 'text');
+});
+
+test('failed delivery is retried after backoff', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/flaky`, events: ['rank.first'] });
+
+  await emitTestEvent(webhook);
+  const failed = await waitForDelivery(webhook.id, delivery => delivery.attempts === 1);
+  assert.equal(failed.status, 'pending');
+  assert.equal(failed.response_status, 500);
+  await assertRetryDelay(failed.id, 30);
+
+  await makeDue(failed.id);
+  const delivered = await waitForDelivery(webhook.id, delivery => delivery.status === 'delivered');
+  assert.equal(delivered.attempts, 2);
+});
+
+test('delivery fails after five attempts with doubling delays', async () => {
+  const webhook = await db.createWebhook({ url: `${baseUrl}/fail`, events: ['rank.first'] });
+
+  await emitTestEvent(webhook);
+  let delivery = await waitForDelivery(webhook.id, current => current.attempts === 1);
+
+  while (delivery.status === 'pending') {
+    await assertRetryDelay(delivery.id, 30 * Math.pow(2, delivery.attempts - 1));
+    await makeDue(delivery.id);
+    const attempts = delivery.attempts;
+    delivery = await waitForDelivery(webhook.id, current => current.attempts > attempts);
+  }
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 5);
+  assert.equal(delivery.last_error, 'HTTP 500');
+});
@@ -0,0 +1,140 @@
+import db from '../db/database.js';
+import { getDefaultTimeZone } from './timezone.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 成就规则：check 接收 getAchievementFacts 计算的用户数据，返回是否达成
+ * 日期和小时按服务器默认时区划分
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_million',
+    icon: '🚀',
+    name: '百万 token',
+    description: '累计使用 1,000,000 token',
+    check: facts => facts.totalTokens >= 1000000
+  },
+  {
+    id: 'streak_7',
+    icon: '🔥',
+    name: '七日连击',
+    description: '连续 7 天都有使用记录',
+    check: facts => facts.longestStreak >= 7
+  },
+  {
+    id: 'cache_master',
+    icon: '🧊',
+    name: '缓存大师',
+    description: '累计输入超过 1,000,000 token 且缓存命中率达到 80%',
+    check: facts => facts.totalPromptTokens >= 1000000 && facts.cacheHitRatio >= 0.8
+  },
+  {
+    id: 'night_owl',
+    icon: '🦉',
+    name: '夜猫子',
+    description: '在凌晨 0 点到 5 点之间累计交互 50 次',
+    check: facts => facts.nightInteractions >= 50
+  }
+];
+
+const NIGHT_HOURS_END = 5;
+
+/**
+ * 按 ID 查找成就定义
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export const getAchievement = (id) => ACHIEVEMENTS.find(achievement => achievement.id === id);
+
+/**
+ * 成就的公开信息（不含规则）
+ * @param {Object} achievement
+ * @returns {{id: string, icon: string, name: string, description: string}}
+ */
+export const toPublicAchievement = ({ id, icon, name, description }) => ({ id, icon, name, description });
+
+/**
+ * 最长连续使用天数
+ * @param {string[]} dates - 升序的本地日期 YYYY-MM-DD
+ * @returns {number}
+ */
+export const getLongestStreak = (dates) => {
+  let longest = 0;
+  let current = 0;
+  let previous = null;
+
+  for (const date of dates) {
+    const time = Date.parse(`${date}T00:00:00Z`);
+    current = previous !== null && time - previous === DAY ? current + 1 : 1;
+    longest = Math.max(longest, current);
+    previous = time;
+  }
+
+  return longest;
+};
+
+/**
+ * 计算评估成就所需的用户数据
+ * @param {string} username
+ * @returns {Promise<Object>} totalTokens、totalPromptTokens、cacheHitRatio、longestStreak、nightInteractions
+ */
+export const getAchievementFacts = async (username) => {
+  const filters = { username, timeZone: getDefaultTimeZone() };
+  const [stats, daily, hourly] = await Promise.all([
+    db.getUserStats(username),
+    db.getDailyUsage(filters),
+    db.getHourlyActivity(filters)
+  ]);
+
+  const totalPromptTokens = (stats?.total_input || 0) + (stats?.total_cache_creation || 0) + (stats?.total_cache_read || 0);
+
+  return {
+    totalTokens: stats?.total_tokens || 0,
+    totalPromptTokens,
+    cacheHitRatio: totalPromptTokens > 0 ? (stats.total_cache_read || 0) / totalPromptTokens : 0,
+    longestStreak: getLongestStreak(daily.map(day => day.date)),
+    nightInteractions: hourly
+      .filter(row => row.hour < NIGHT_HOURS_END)
+      .reduce((sum, row) => sum + row.interactions, 0)
+  };
+};
+
+/**
+ * 评估用户尚未获得的成就，达成的立即授予
+ * @param {string} username
+ * @returns {Promise<Object[]>} 本次新获得的成就
+ */
+export const evaluateAchievements = async (username) => {
+  const earned = new Set((await db.getUserAchievements(username)).map(row => row.achievement_id));
+  const pending = ACHIEVEMENTS.filter(achievement => !earned.has(achievement.id));
+  if (pending.length === 0) return [];
+
+  const facts = await getAchievementFacts(username);
+  const awarded = [];
+  for (const achievement of pending) {
+    if (achievement.check(facts) && await db.awardAchievement(username, achievement.id)) {
+      awarded.push(toPublicAchievement(achievement));
+    }
+  }
+
+  return awarded;
+};
+
+/**
+ * 为所有用户评估成就（启动时为已有数据补发）
+ * @returns {Promise<number>} 新授予的成就数
+ */
+export const evaluateAllAchievements = async () => {
+  const users = await db.getOverallRanks();
+  let count = 0;
+
+  for (const { username } of users) {
+    count += (await evaluateAchievements(username)).length;
+  }
+
+  if (count > 0) {
+    console.log(`Awarded ${count} achievements for existing usage`);
+  }
+  return count;
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import db from '../db/database.js';
+
+/**
+ * 是否启用开放模式（不校验用户 token，兼容旧版客户端）
+ * @returns {boolean}
+ */
+export const isOpenMode = () => {
+  return process.env.OPEN_MODE === 'true';
+};
+
+/**
+ * 生成新的用户 token
+ * @returns {string} 明文 token（只在签发时返回一次）
+ */
+export const generateToken = () => {
+  return `cst_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+/**
+ * 计算 token 哈希，数据库中只保存哈希值
+ * @param {string} token - 明文 token
+ * @returns {string} sha256 十六进制字符串
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * 从请求头中读取 Bearer token
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * 校验 token 是否属于指定用户
+ * @param {string} username - 用户名
+ * @param {string|null} token - 明文 token
+ * @returns {Promise<boolean>}
+ */
+export const verifyUserToken = async (username, token) => {
+  if (!token) return false;
+
+  const stored = await db.getUserToken(username);
+  if (!stored) return false;
+
+  const expected = Buffer.from(stored.token_hash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * 管理员接口鉴权中间件，校验 X-Admin-Secret 请求头
+ * 未设置 ADMIN_SECRET 时管理员接口整体禁用
+ */
+export const requireAdmin = (req, res, next) => {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) {
+    return res.status(503).json({ 
+      error: 'Admin API disabled',
+      details: 'Set the ADMIN_SECRET environment variable to enable admin endpoints'
+    });
+  }
+
+  const provided = req.get('x-admin-secret') || '';
+  const expected = Buffer.from(hashToken(secret), 'hex');
+  const actual = Buffer.from(hashToken(provided), 'hex');
+  if (!provided || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ 
+      error: 'Invalid admin secret'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,136 @@
+import db from '../db/database.js';
+import { getNamedRange } from './dateRange.js';
+import { isValidTimeZone } from './timezone.js';
+
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// 使用比例达到这些百分比时告警
+export const ALERT_THRESHOLDS = [50, 80, 100];
+
+/**
+ * 验证预算定义
+ * @param {Object} budget - { username, period, limit_usd, timezoneOffset, timeZone }
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export const validateBudget = (budget) => {
+  const { username, period, limit_usd: limit, timezoneOffset, timeZone } = budget || {};
+
+  if (username !== undefined && username !== null &&
+      (typeof username !== 'string' || username.length < 1 || username.length > 50)) {
+    return 'username must be between 1 and 50 characters, or null for a team-wide budget';
+  }
+
+  if (!BUDGET_PERIODS.includes(period)) {
+    return `period must be one of ${BUDGET_PERIODS.join(', ')}`;
+  }
+
+  if (typeof limit !== 'number' || !(limit > 0)) {
+    return 'limit_usd must be a positive number';
+  }
+
+  if (timezoneOffset !== undefined &&
+      (!Number.isInteger(timezoneOffset) || timezoneOffset < -720 || timezoneOffset > 840)) {
+    return 'timezoneOffset must be an integer number of minutes between -720 and 840';
+  }
+
+  if (timeZone !== undefined && timeZone !== null && !isValidTimeZone(timeZone)) {
+    return 'timeZone must be an IANA time zone name such as Asia/Shanghai';
+  }
+
+  return null;
+};
+
+/**
+ * 计算预算周期的开始时间（周从周一开始）
+ * @param {string} period - daily / weekly / monthly
+ * @param {string|number} zone - IANA 时区名或时区偏移分钟数（与 getTimezoneOffset 相同，UTC+8 为 -480）
+ * @param {Date} now - 当前时间
+ * @returns {string} 周期开始时刻的 UTC ISO 字符串
+ */
+export const getBudgetPeriodStart = (period, zone = 0, now = new Date()) => {
+  const namedRange = { daily: 'today', weekly: 'this_week', monthly: 'this_month' }[period] || 'today';
+  return getNamedRange(namedRange, zone, now).start.toISOString();
+};
+
+/**
+ * 计算预算当前周期的使用情况
+ * @param {Object} budget - budgets 表中的一行
+ * @returns {Promise<Object>} 预算及 period_start、spent、percent
+ */
+export const getBudgetStatus = async (budget) => {
+  const periodStart = getBudgetPeriodStart(budget.period, budget.timezone || budget.timezone_offset || 0);
+  const spent = await db.getSpendSince(periodStart, budget.username);
+
+  return {
+    ...budget,
+    period_start: periodStart,
+    spent,
+    percent: budget.limit_usd > 0 ? (spent / budget.limit_usd) * 100 : 0
+  };
+};
+
+/**
+ * 生成告警描述
+ * @param {Object} alert
+ * @returns {string}
+ */
+export const formatBudgetAlert = (alert) => {
+  const scope = alert.username ? `Budget for ${alert.username}` : 'Team budget';
+  const state = alert.threshold >= 100 ? 'exceeded' : `${alert.threshold}% used`;
+  return `${scope} (${alert.period}) ${state}: $${alert.spent.toFixed(2)} of $${alert.limit_usd.toFixed(2)}`;
+};
+
+/**
+ * 入库后评估用户预算和团队预算
+ * 新达到的阈值会记录为告警；已超出的预算每次提交都会返回警告
+ * @param {string} username - 刚提交数据的用户
+ * @returns {Promise<{alerts: Object[], warnings: Object[]}>}
+ */
+export const evaluateBudgets = async (username) => {
+  const budgets = await db.getBudgets(username);
+  const alerts = [];
+  const warnings = [];
+
+  for (const budget of budgets) {
+    const status = await getBudgetStatus(budget);
+    const reached = ALERT_THRESHOLDS.filter(threshold => status.percent >= threshold);
+    if (reached.length === 0) continue;
+
+    const toAlert = (threshold) => ({
+      budget_id: budget.id,
+      username: budget.username,
+      period: budget.period,
+      period_start: status.period_start,
+      threshold,
+      spent: status.spent,
+      limit_usd: budget.limit_usd
+    });
+
+    let created = null;
+    for (const threshold of reached) {
+      const alert = toAlert(threshold);
+      if (await db.insertBudgetAlert(alert)) {
+        alerts.push(alert);
+        created = alert;
+      }
+    }
+
+    // 同一预算只返回最高的新阈值；超出预算时持续提醒
+    const highest = reached[reached.length - 1];
+    const warning = created || (highest >= 100 ? toAlert(highest) : null);
+
+    if (warning) {
+      warnings.push({
+        type: 'budget',
+        scope: warning.username ? 'user' : 'team',
+        period: warning.period,
+        threshold: warning.threshold,
+        spent: warning.spent,
+        limit_usd: warning.limit_usd,
+        message: formatBudgetAlert(warning)
+      });
+    }
+  }
+
+  return { alerts, warnings };
+};
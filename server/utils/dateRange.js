@@ -0,0 +1,192 @@
+import { localMidnight, toLocalTime } from './timezone.js';
+
+// 命名时间范围（周从周一开始），1d / 7d / 30d 为兼容旧参数保留
+export const NAMED_RANGES = [
+  '1d', '7d', '30d', 'all',
+  'today', 'yesterday',
+  'this_week', 'last_week',
+  'this_month', 'last_month',
+  'this_quarter', 'last_quarter',
+  'this_year'
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 计算命名时间范围
+ * @param {string} period - NAMED_RANGES 中的值，未知值视为 all
+ * @param {string|number} zone - IANA 时区名或时区偏移分钟数（与 getTimezoneOffset 相同，UTC+8 为 -480）
+ * @param {Date} now - 当前时间
+ * @returns {{start: Date|null, end: Date|null}} end 不包含在范围内，null 表示不限
+ */
+export const getNamedRange = (period, zone = 0, now = new Date()) => {
+  // 换算到本地时间，用 UTC 方法取本地日期
+  const local = toLocalTime(zone, now);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  const date = local.getUTCDate();
+  // 按本地日期逐日换算，跨夏令时的一天不一定是 24 小时
+  const day = (offset) => localMidnight(year, month, date + offset, zone);
+  const today = day(0);
+  const weekday = (local.getUTCDay() + 6) % 7;
+  const quarterMonth = month - (month % 3);
+
+  switch (period) {
+    case '1d':
+    case 'today':
+      return { start: today, end: null };
+    case 'yesterday':
+      return { start: day(-1), end: today };
+    case '7d':
+      // 包含今天在内的 7 天
+      return { start: day(-6), end: null };
+    case '30d':
+      return { start: day(-29), end: null };
+    case 'this_week':
+      return { start: day(-weekday), end: null };
+    case 'last_week':
+      return { start: day(-weekday - 7), end: day(-weekday) };
+    case 'this_month':
+      return { start: localMidnight(year, month, 1, zone), end: null };
+    case 'last_month':
+      return {
+        start: localMidnight(year, month - 1, 1, zone),
+        end: localMidnight(year, month, 1, zone)
+      };
+    case 'this_quarter':
+      return { start: localMidnight(year, quarterMonth, 1, zone), end: null };
+    case 'last_quarter':
+      return {
+        start: localMidnight(year, quarterMonth - 3, 1, zone),
+        end: localMidnight(year, quarterMonth, 1, zone)
+      };
+    case 'this_year':
+      return { start: localMidnight(year, 0, 1, zone), end: null };
+    case 'all':
+    default:
+      return { start: null, end: null };
+  }
+};
+
+/**
+ * 解析 from / to 参数
+ * 日期（YYYY-MM-DD）按本地时间解释，作为结束时间时包含当天；其他值按 ISO 时间戳解析
+ * @param {string} value
+ * @param {string|number} zone - IANA 时区名或时区偏移分钟数
+ * @param {boolean} isEnd - 是否为结束时间
+ * @returns {Date|null} 无法解析时返回 null
+ */
+export const parseDateBound = (value, zone = 0, isEnd = false) => {
+  if (typeof value !== 'string' || !value) return null;
+
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    // 拒绝 2024-02-30 这类溢出到下个月的日期
+    if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) return null;
+    return localMidnight(year, month - 1, isEnd ? day + 1 : day, zone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 计算查询的时间范围：指定了 from / to 时优先使用，否则使用命名范围
+ * @param {Object} options
+ * @param {string} [options.period] - 命名范围
+ * @param {string} [options.from] - 开始日期或时间
+ * @param {string} [options.to] - 结束日期或时间
+ * @param {string} [options.timeZone] - IANA 时区名，优先于 timezoneOffset
+ * @param {number} [options.timezoneOffset] - 时区偏移分钟数
+ * @param {Date} now - 当前时间
+ * @returns {{start: string|null, end: string|null}} UTC ISO 字符串，end 不包含在范围内
+ * @throws {Error} from / to 无法解析或开始时间不早于结束时间
+ */
+export const resolveDateRange = ({ period = 'all', from, to, timeZone, timezoneOffset = 0 } = {}, now = new Date()) => {
+  const zone = timeZone || timezoneOffset;
+  let start;
+  let end;
+
+  if (from || to) {
+    start = from ? parseDateBound(from, zone) : null;
+    end = to ? parseDateBound(to, zone, true) : null;
+
+    if ((from && !start) || (to && !end)) {
+      throw new Error('from and to must be dates (YYYY-MM-DD) or ISO timestamps');
+    }
+    if (start && end && start >= end) {
+      throw new Error('from must be earlier than to');
+    }
+  } else {
+    ({ start, end } = getNamedRange(period, zone, now));
+  }
+
+  return {
+    start: start ? start.toISOString() : null,
+    end: end ? end.toISOString() : null
+  };
+};
+
+// 命名范围对应的上一周期相对于本周期的偏移（本地日历的月数和天数）
+const PREVIOUS_PERIOD_SHIFTS = {
+  '1d': { days: 1 },
+  today: { days: 1 },
+  yesterday: { days: 1 },
+  '7d': { days: 7 },
+  '30d': { days: 30 },
+  this_week: { days: 7 },
+  last_week: { days: 7 },
+  this_month: { months: 1 },
+  last_month: { months: 1 },
+  this_quarter: { months: 3 },
+  last_quarter: { months: 3 },
+  this_year: { months: 12 }
+};
+
+/**
+ * 计算用于环比的上一个等长周期
+ * 命名范围按本地日历前移（如 this_month 对应上个月）；未结束的周期只比较到相同的已过时长
+ * 自定义范围取紧邻其前、长度相同的时间段
+ * @param {Object} options - 同 resolveDateRange
+ * @param {Date} now - 当前时间
+ * @returns {{start: string, end: string}|null} UTC ISO 字符串；没有开始时间（如 all）时返回 null
+ */
+export const getPreviousRange = (options = {}, now = new Date()) => {
+  const { period = 'all', from, to, timeZone, timezoneOffset = 0 } = options;
+  const range = resolveDateRange(options, now);
+  if (!range.start) return null;
+
+  const start = new Date(range.start);
+  const end = range.end ? new Date(range.end) : now;
+  const shift = from || to ? null : PREVIOUS_PERIOD_SHIFTS[period];
+
+  if (!shift) {
+    return {
+      start: new Date(start.getTime() - (end.getTime() - start.getTime())).toISOString(),
+      end: start.toISOString()
+    };
+  }
+
+  // 按本地日历前移（保留本地时分秒），跨夏令时也对齐到相同的本地时刻
+  const zone = timeZone || timezoneOffset;
+  const shiftBack = (date) => {
+    const local = toLocalTime(zone, date);
+    const midnight = localMidnight(
+      local.getUTCFullYear(),
+      local.getUTCMonth() - (shift.months || 0),
+      local.getUTCDate() - (shift.days || 0),
+      zone
+    );
+    const elapsed = local.getTime() - Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+    return new Date(midnight.getTime() + elapsed);
+  };
+
+  const previousStart = shiftBack(start);
+  // 已结束的周期上一周期到本周期开始为止，未结束的周期只取相同的已过时长
+  const previousEnd = range.end ? start : new Date(Math.min(shiftBack(end).getTime(), start.getTime()));
+
+  return {
+    start: previousStart.toISOString(),
+    end: previousEnd.toISOString()
+  };
+};
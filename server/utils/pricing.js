@@ -1,10 +1,19 @@
 import { loadCachedPricing } from './fetchPricing.js';
+import db from '../db/database.js';
+import { loadPricingOverrides, applyPricingOverrides, hasActiveOverrides, onPricingOverridesChange } from './pricingOverrides.js';
 
 // 缓存的价格数据
 let cachedPrices = null;
 let lastLoadTime = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5分钟内存缓存
 
+// 缓存的价格快照（按生效时间升序）
+let cachedSnapshots = null;
+let lastSnapshotLoadTime = 0;
+
+// 首个快照的生效时间，早于所有记录
+const SEED_EFFECTIVE_FROM = '1970-01-01T00:00:00.000Z';
+
 // 默认价格（备用）
 const DEFAULT_PRICES = {
   // Claude 3 Opus
@@ -98,12 +107,141 @@ async function loadPrices() {
 }
 
 /**
- * Get pricing for a specific model
+ * 加载价格快照
+ */
+async function loadSnapshots() {
+  const now = Date.now();
+  
+  if (cachedSnapshots && (now - lastSnapshotLoadTime) < CACHE_TTL) {
+    return cachedSnapshots;
+  }
+  
+  try {
+    const snapshots = await db.getPricingSnapshots();
+    cachedSnapshots = snapshots.map(snapshot => ({
+      ...snapshot,
+      effectiveTime: new Date(snapshot.effective_from).getTime()
+    }));
+    lastSnapshotLoadTime = now;
+  } catch (error) {
+    console.log('Could not load pricing snapshots:', error.message);
+    cachedSnapshots = [];
+  }
+  
+  return cachedSnapshots;
+}
+
+/**
+ * 获取指定时间生效的价格表
+ * 早于第一个快照的时间使用第一个快照，没有快照时使用当前价格
+ */
+async function getPricesAt(timestamp) {
+  const snapshots = await loadSnapshots();
+  const time = new Date(timestamp).getTime();
+  
+  if (snapshots.length === 0 || isNaN(time)) {
+    return await loadPrices();
+  }
+  
+  let effective = snapshots[0];
+  for (const snapshot of snapshots) {
+    if (snapshot.effectiveTime > time) break;
+    effective = snapshot;
+  }
+  
+  return effective.prices;
+}
+
+/**
+ * 初始化价格历史：没有任何快照时，以当前价格作为最早的快照
+ */
+async function initPricingHistory() {
+  const snapshots = await db.getPricingSnapshots();
+  if (snapshots.length > 0) return;
+  
+  const cached = await loadCachedPricing();
+  const prices = cached?.prices || DEFAULT_PRICES;
+  const source = cached?.prices ? cached.source : 'defaults';
+  
+  await db.savePricingSnapshot(prices, source, SEED_EFFECTIVE_FROM);
+  cachedSnapshots = null;
+  console.log('Seeded pricing history from', source);
+}
+
+/**
+ * 比较两个价格表，返回变化的模型和价格项
+ */
+function diffPrices(previous = {}, current = {}) {
+  const fields = ['input', 'output', 'cache_write', 'cache_read'];
+  const added = Object.keys(current).filter(model => !(model in previous));
+  const removed = Object.keys(previous).filter(model => !(model in current));
+  const changed = [];
+  
+  for (const model of Object.keys(current)) {
+    if (!(model in previous)) continue;
+    for (const field of fields) {
+      if (previous[model][field] !== current[model][field]) {
+        changed.push({
+          model,
+          field,
+          from: previous[model][field],
+          to: current[model][field]
+        });
+      }
+    }
+  }
+  
+  return { added, removed, changed };
+}
+
+/**
+ * 列出全部价格快照及与上一个快照的差异
+ */
+async function getPricingHistory() {
+  const snapshots = await db.getPricingSnapshots();
+  
+  return snapshots.map((snapshot, index) => ({
+    id: snapshot.id,
+    effective_from: snapshot.effective_from,
+    source: snapshot.source,
+    created_at: snapshot.created_at,
+    model_count: Object.keys(snapshot.prices).length,
+    changes: index === 0 ? null : diffPrices(snapshots[index - 1].prices, snapshot.prices),
+    prices: snapshot.prices
+  }));
+}
+
+/**
+ * Get pricing for a specific model, preferring manual overrides over list prices
  * @param {string} model - Model name
+ * @param {string} [timestamp] - Use the prices in effect at this time (defaults to current prices)
  * @returns {Object} Pricing object
  */
-async function getModelPricing(model) {
-  const prices = await loadPrices();
+async function getModelPricing(model, timestamp) {
+  const listPricing = await getListPricing(model, timestamp);
+  const overrides = await loadPricingOverrides();
+  return applyPricingOverrides(model, listPricing, overrides);
+}
+
+/**
+ * 获取当前成本口径：存在覆盖配置时为协议价（contracted），否则为标价（list）
+ * recalculating 为 true 时历史记录成本仍在按新口径重新计算
+ */
+async function getPricingBasis() {
+  const overrides = await loadPricingOverrides();
+  return {
+    basis: hasActiveOverrides(overrides) ? 'contracted' : 'list',
+    recalculating: recalculation !== null,
+    discount_percent: overrides.discount_percent,
+    overridden_models: Object.keys(overrides.models)
+  };
+}
+
+/**
+ * 获取模型标价（抓取价格或默认价格）
+ */
+async function getListPricing(model, timestamp) {
+  const prices = timestamp ? await getPricesAt(timestamp) : await loadPrices();
   
   if (!model) return prices.default || DEFAULT_PRICES.default;
   
@@ -147,17 +285,18 @@ async function getModelPricing(model) {
 }
 
 /**
- * Calculate cost in USD for token usage
+ * Calculate cost in USD for token usage, using the prices in effect at usage.timestamp
  * @param {Object} usage - Token usage object
  * @param {number} usage.input_tokens - Input tokens
  * @param {number} usage.output_tokens - Output tokens
  * @param {number} usage.cache_creation_tokens - Cache creation tokens
  * @param {number} usage.cache_read_tokens - Cache read tokens
  * @param {string} usage.model - Model name
+ * @param {string} [usage.timestamp] - Record timestamp
  * @returns {Promise<number>} Cost in USD
  */
 async function calculateCost(usage) {
-  const pricing = await getModelPricing(usage.model);
+  const pricing = await getModelPricing(usage.model, usage.timestamp);
   
   const inputCost = (usage.input_tokens || 0) * pricing.input / 1000000;
   const outputCost = (usage.output_tokens || 0) * pricing.output / 1000000;
@@ -167,6 +306,96 @@ async function calculateCost(usage) {
   return inputCost + outputCost + cacheWriteCost + cacheReadCost;
 }
 
+// 正在进行的全量重算，以及重算期间价格是否再次变化
+let recalculation = null;
+let recalculationPending = false;
+
+/**
+ * Calculate and store cost for records page by page
+ * Pages by id, so records whose cost cannot be calculated are never selected twice
+ * @param {Function} fetchPage - (afterId) => records with id greater than afterId
+ * @returns {Promise<number>} Number of records updated
+ */
+async function updateCostsInPages(fetchPage) {
+  let updated = 0;
+  let lastId = 0;
+  const invalidModels = new Map();
+  
+  while (true) {
+    const records = await fetchPage(lastId);
+    if (records.length === 0) break;
+    
+    const costs = [];
+    for (const record of records) {
+      let cost = await calculateCost(record);
+      // 价格缺失或异常时按 0 保存，避免 NULL 成本被反复补算
+      if (!Number.isFinite(cost)) {
+        invalidModels.set(record.model, (invalidModels.get(record.model) || 0) + 1);
+        cost = 0;
+      }
+      costs.push({ id: record.id, cost });
+    }
+    await db.updateRecordCosts(costs);
+    updated += records.length;
+    lastId = records[records.length - 1].id;
+  }
+  
+  for (const [model, count] of invalidModels) {
+    console.warn(`Invalid cost for ${count} records of model "${model}", stored as 0`);
+  }
+  
+  return updated;
+}
+
+/**
+ * Backfill cost for records stored before per-record cost existed
+ * @returns {Promise<number>} Number of records updated
+ */
+async function backfillRecordCosts() {
+  const updated = await updateCostsInPages(afterId => db.getRecordsWithoutCost(500, afterId));
+  
+  if (updated > 0) {
+    await db.refreshUserCostTotals();
+    console.log(`Backfilled cost for ${updated} records`);
+  }
+  
+  return updated;
+}
+
+/**
+ * Recalculate cost for all records in place, e.g. after pricing overrides change
+ * Calls made while a recalculation is running schedule one more pass after it
+ * @returns {Promise<number>} Number of records updated by the last pass
+ */
+function recalculateRecordCosts() {
+  if (recalculation) {
+    recalculationPending = true;
+    return recalculation;
+  }
+  
+  recalculation = (async () => {
+    let updated;
+    do {
+      recalculationPending = false;
+      updated = await updateCostsInPages(afterId => db.getRecordsForCost(500, afterId));
+      await db.refreshUserCostTotals();
+    } while (recalculationPending);
+    console.log(`Recalculated cost for ${updated} records`);
+    return updated;
+  })().finally(() => {
+    recalculation = null;
+  });
+  
+  return recalculation;
+}
+
+// 直接编辑覆盖文件后，按新价格重新计算已保存的成本
+onPricingOverridesChange(() => {
+  recalculateRecordCosts().catch(error => {
+    console.error('Failed to recalculate record costs:', error);
+  });
+});
+
 /**
  * Format cost as USD string
  * @param {number} cost - Cost in USD
@@ -184,4 +413,14 @@ function formatCost(cost) {
   }
 }
 
-export { calculateCost, formatCost, getModelPricing, DEFAULT_PRICES as API_PRICES };
\ No newline at end of file
+export {
+  calculateCost,
+  formatCost,
+  getModelPricing,
+  backfillRecordCosts,
+  recalculateRecordCosts,
+  getPricingBasis,
+  initPricingHistory,
+  getPricingHistory,
+  DEFAULT_PRICES as API_PRICES
+};
\ No newline at end of file
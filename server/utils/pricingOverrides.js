@@ -0,0 +1,201 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getDataDir } from './dataDir.js';
+
+const PRICE_FIELDS = ['input', 'output', 'cache_write', 'cache_read'];
+// 覆盖配置允许的字段（updated 由保存时写入）
+const OVERRIDE_FIELDS = ['discount_percent', 'models', 'updated'];
+
+// 缓存的覆盖配置
+let cachedOverrides = null;
+let lastLoadTime = 0;
+const CACHE_TTL = 5 * 60 * 1000; // 5分钟内存缓存
+
+// 上次加载或保存时覆盖文件内容的校验和（null 表示文件不存在），首次加载前为 undefined
+let knownChecksum;
+const changeListeners = [];
+
+const getChecksum = (content) => {
+  return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+};
+
+/**
+ * 注册覆盖文件变化的回调（直接编辑文件后重新加载时调用，启动后的首次加载不调用）
+ * @param {() => void} listener
+ */
+export const onPricingOverridesChange = (listener) => {
+  changeListeners.push(listener);
+};
+
+/**
+ * 获取价格覆盖文件路径
+ * @returns {string}
+ */
+export const getOverridesPath = () => {
+  return path.join(getDataDir(), 'pricing-overrides.json');
+};
+
+/**
+ * 验证价格覆盖配置
+ * @param {Object} overrides - { discount_percent, models }
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export const validatePricingOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'Overrides must be an object';
+  }
+
+  const unknownField = Object.keys(overrides).find(field => !OVERRIDE_FIELDS.includes(field));
+  if (unknownField) {
+    return `Unknown field "${unknownField}", expected one of ${OVERRIDE_FIELDS.join(', ')}`;
+  }
+
+  const { discount_percent: discount, models } = overrides;
+
+  if (discount !== undefined && discount !== null &&
+      (typeof discount !== 'number' || discount < 0 || discount >= 100)) {
+    return 'discount_percent must be a number between 0 and 100';
+  }
+
+  if (models !== undefined && models !== null) {
+    if (typeof models !== 'object' || Array.isArray(models)) {
+      return 'models must be an object keyed by model name';
+    }
+
+    for (const [model, rates] of Object.entries(models)) {
+      if (!rates || typeof rates !== 'object' || Object.keys(rates).length === 0) {
+        return `Rates for ${model} must be a non-empty object`;
+      }
+      for (const [field, value] of Object.entries(rates)) {
+        if (!PRICE_FIELDS.includes(field)) {
+          return `Unknown rate "${field}" for ${model}, expected one of ${PRICE_FIELDS.join(', ')}`;
+        }
+        if (typeof value !== 'number' || value < 0) {
+          return `Rate ${field} for ${model} must be a non-negative number (USD per million tokens)`;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * 加载价格覆盖配置
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - 忽略内存缓存，立即重新读取文件
+ * @returns {Promise<Object>} { discount_percent, models, updated }，没有配置时字段为空
+ */
+export const loadPricingOverrides = async ({ force = false } = {}) => {
+  const now = Date.now();
+
+  if (!force && cachedOverrides && (now - lastLoadTime) < CACHE_TTL) {
+    return cachedOverrides;
+  }
+
+  let overrides = { discount_percent: 0, models: {}, updated: null };
+  let content = null;
+  try {
+    content = await fs.readFile(getOverridesPath(), 'utf-8');
+    const data = JSON.parse(content);
+    const error = validatePricingOverrides(data);
+    if (error) {
+      console.error('Ignoring invalid pricing overrides:', error);
+    } else {
+      overrides = {
+        discount_percent: data.discount_percent || 0,
+        models: data.models || {},
+        updated: data.updated || null
+      };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading pricing overrides:', error.message);
+    }
+  }
+
+  cachedOverrides = overrides;
+  lastLoadTime = now;
+
+  // 文件在上次加载后被直接编辑过，通知重新计算已保存的成本
+  const checksum = getChecksum(content);
+  const changed = knownChecksum !== undefined && checksum !== knownChecksum;
+  knownChecksum = checksum;
+  if (changed) {
+    changeListeners.forEach(listener => listener());
+  }
+
+  return overrides;
+};
+
+/**
+ * 保存价格覆盖配置（传入 null 时删除覆盖文件）
+ * @param {Object|null} overrides - { discount_percent, models }
+ * @returns {Promise<Object|null>} 保存后的配置
+ */
+export const savePricingOverrides = async (overrides) => {
+  const filePath = getOverridesPath();
+  cachedOverrides = null;
+
+  if (!overrides) {
+    await fs.rm(filePath, { force: true });
+    knownChecksum = null;
+    return null;
+  }
+
+  const data = {
+    discount_percent: overrides.discount_percent || 0,
+    models: overrides.models || {},
+    updated: new Date().toISOString()
+  };
+
+  const content = JSON.stringify(data, null, 2);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+  // 通过接口保存时由调用方重新计算成本，不再当作文件变化
+  knownChecksum = getChecksum(content);
+  return data;
+};
+
+/**
+ * 是否存在生效的覆盖配置（存在时成本为协议价）
+ * @param {Object} overrides
+ * @returns {boolean}
+ */
+export const hasActiveOverrides = (overrides) => {
+  return (overrides?.discount_percent || 0) > 0 || Object.keys(overrides?.models || {}).length > 0;
+};
+
+/**
+ * 将覆盖配置应用到模型价格上
+ * 模型级覆盖优先（视为已是协议价，不再叠加折扣），否则应用全局折扣
+ * @param {string} model - 模型名称
+ * @param {Object} pricing - 标价
+ * @param {Object} overrides - 覆盖配置
+ * @returns {Object} 最终价格
+ */
+export const applyPricingOverrides = (model, pricing, overrides) => {
+  const modelLower = (model || '').toLowerCase();
+  const entries = Object.entries(overrides?.models || {});
+
+  // 精确匹配优先，其次按模型族匹配（较长的键更具体，优先匹配）
+  const match = entries.find(([key]) => key === model) ||
+    [...entries]
+      .sort((a, b) => b[0].length - a[0].length)
+      .find(([key]) => modelLower && modelLower.includes(key.toLowerCase()));
+
+  if (match) {
+    return { ...pricing, ...match[1] };
+  }
+
+  const discount = overrides?.discount_percent || 0;
+  if (discount > 0) {
+    const factor = 1 - discount / 100;
+    return Object.fromEntries(
+      PRICE_FIELDS.map(field => [field, (pricing[field] || 0) * factor])
+    );
+  }
+
+  return pricing;
+};
@@ -0,0 +1,104 @@
+import fetch from 'node-fetch';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 未设置 PRICING_FILE 时使用仓库自带的价格表
+const BUNDLED_PRICING_FILE = path.join(__dirname, '..', '..', 'config', 'pricing.json');
+
+/**
+ * 获取价格文件位置（PRICING_FILE 环境变量，可以是本地路径或 http(s) URL）
+ * @returns {string}
+ */
+export function getPricingFileLocation() {
+  return process.env.PRICING_FILE || BUNDLED_PRICING_FILE;
+}
+
+/**
+ * 读取并解析价格文件，按扩展名支持 JSON 和 YAML
+ * @param {string} location - 本地路径或 http(s) URL
+ * @returns {Promise<Object>}
+ */
+export async function readPricingSource(location) {
+  let content;
+  if (/^https?:\/\//i.test(location)) {
+    const response = await fetch(location);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    content = await response.text();
+  } else {
+    content = await fs.readFile(location, 'utf-8');
+  }
+
+  return /\.ya?ml$/i.test(location) ? YAML.parse(content) : JSON.parse(content);
+}
+
+/**
+ * 标准化单个模型的价格，缺少缓存价格时按输入价格推算
+ * （缓存写入为输入价格的 125%，缓存读取为 10%）
+ * @param {Object} rates
+ * @returns {Object|null}
+ */
+export function normalizeRates(rates) {
+  const input = Number(rates?.input);
+  const output = Number(rates?.output);
+  if (!Number.isFinite(input) || !Number.isFinite(output)) {
+    return null;
+  }
+
+  const cacheWrite = Number(rates.cache_write);
+  const cacheRead = Number(rates.cache_read);
+
+  return {
+    input,
+    output,
+    cache_write: Number.isFinite(cacheWrite) ? cacheWrite : input * 1.25,
+    cache_read: Number.isFinite(cacheRead) ? cacheRead : input * 0.1
+  };
+}
+
+/**
+ * 从本地 JSON / YAML 文件读取价格
+ * 支持 { models: {...} }（config/pricing.json 格式）、{ prices: {...} }（pricing.json 缓存格式）或直接的模型映射
+ */
+async function fetchPricingFromFile() {
+  const location = getPricingFileLocation();
+
+  try {
+    console.log('Loading pricing from file:', location);
+    const data = await readPricingSource(location);
+    const models = data?.models || data?.prices || data;
+
+    const prices = {};
+    for (const [model, rates] of Object.entries(models || {})) {
+      const normalized = normalizeRates(rates);
+      if (normalized) {
+        prices[model] = normalized;
+      }
+    }
+
+    if (Object.keys(prices).length === 0) {
+      console.error('No valid model prices found in', location);
+      return null;
+    }
+
+    return prices;
+  } catch (error) {
+    console.error('Error loading pricing file:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 本地文件价格提供者，适用于离线环境
+ * @type {import('./index.js').PricingProvider}
+ */
+export default {
+  name: 'file',
+  describe: getPricingFileLocation,
+  fetchPrices: fetchPricingFromFile
+};
@@ -0,0 +1,61 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import webProvider from './web.js';
+import fileProvider from './file.js';
+import litellmProvider from './litellm.js';
+
+/**
+ * 价格提供者接口
+ * @typedef {Object} PricingProvider
+ * @property {string} name - 提供者名称，记录在 pricing.json 和价格快照中
+ * @property {() => string} describe - 返回价格来源描述（URL 或文件路径）
+ * @property {() => Promise<Object|null>} fetchPrices - 获取价格表
+ *   { [model]: { input, output, cache_write, cache_read } }（USD / 百万 token），失败时返回 null
+ */
+
+// 内置提供者
+const BUILTIN_PROVIDERS = {
+  web: webProvider,
+  file: fileProvider,
+  litellm: litellmProvider
+};
+
+/**
+ * 根据 PRICING_PROVIDER 环境变量选择价格提供者
+ * 可以是内置名称（web / file / litellm），也可以是默认导出 PricingProvider 的模块路径
+ * @returns {Promise<PricingProvider|null>}
+ */
+export async function getPricingProvider() {
+  const selected = process.env.PRICING_PROVIDER || 'web';
+
+  if (BUILTIN_PROVIDERS[selected]) {
+    return BUILTIN_PROVIDERS[selected];
+  }
+
+  try {
+    const modulePath = path.resolve(process.cwd(), selected);
+    const module = await import(pathToFileURL(modulePath).href);
+    const provider = module.default;
+
+    if (!provider?.name || typeof provider.fetchPrices !== 'function') {
+      console.error(`Pricing provider module ${selected} must default-export { name, describe, fetchPrices }`);
+      return null;
+    }
+
+    return {
+      describe: () => modulePath,
+      ...provider
+    };
+  } catch (error) {
+    console.error(`Unknown pricing provider "${selected}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 列出内置提供者名称
+ * @returns {string[]}
+ */
+export function listPricingProviders() {
+  return Object.keys(BUILTIN_PROVIDERS);
+}
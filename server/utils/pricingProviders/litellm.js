@@ -0,0 +1,57 @@
+import { getPricingFileLocation, readPricingSource } from './file.js';
+
+const PER_MILLION = 1000000;
+
+// USD / token 换算为 USD / 百万 token，并去掉浮点误差
+const toPerMillion = (costPerToken) => Number((costPerToken * PER_MILLION).toFixed(6));
+
+/**
+ * 从 LiteLLM 格式的模型价格表（model_prices_and_context_window.json）读取 Anthropic 模型价格
+ * LiteLLM 以 USD / token 计价，这里换算为 USD / 百万 token
+ */
+async function fetchPricingFromLiteLLM() {
+  const location = getPricingFileLocation();
+
+  try {
+    console.log('Loading LiteLLM model price map:', location);
+    const data = await readPricingSource(location);
+
+    const prices = {};
+    for (const [key, entry] of Object.entries(data || {})) {
+      // 只取 Anthropic 直连的 Claude 模型，跳过 Bedrock / Vertex 等转售渠道
+      if (entry?.litellm_provider !== 'anthropic' || !key.includes('claude')) continue;
+
+      const input = entry.input_cost_per_token;
+      const output = entry.output_cost_per_token;
+      if (typeof input !== 'number' || typeof output !== 'number') continue;
+
+      const model = key.replace(/^anthropic\//, '');
+      prices[model] = {
+        input: toPerMillion(input),
+        output: toPerMillion(output),
+        cache_write: toPerMillion(entry.cache_creation_input_token_cost ?? input * 1.25),
+        cache_read: toPerMillion(entry.cache_read_input_token_cost ?? input * 0.1)
+      };
+    }
+
+    if (Object.keys(prices).length === 0) {
+      console.error('No Anthropic models found in LiteLLM price map', location);
+      return null;
+    }
+
+    return prices;
+  } catch (error) {
+    console.error('Error loading LiteLLM price map:', error.message);
+    return null;
+  }
+}
+
+/**
+ * LiteLLM 模型价格表提供者
+ * @type {import('./index.js').PricingProvider}
+ */
+export default {
+  name: 'litellm',
+  describe: getPricingFileLocation,
+  fetchPrices: fetchPricingFromLiteLLM
+};
@@ -0,0 +1,86 @@
+import db from '../db/database.js';
+import { getNamedRange } from './dateRange.js';
+import { getDefaultTimeZone, toLocalTime } from './timezone.js';
+
+// 快照周期：每次同时刷新当前周期和上一个周期（上一周期结束后仍可能有延迟上传的数据）
+export const SNAPSHOT_PERIODS = {
+  daily: ['today', 'yesterday'],
+  weekly: ['this_week', 'last_week']
+};
+
+// 每个周期最多保存的名次数
+const SNAPSHOT_LIMIT = 500;
+const SNAPSHOT_INTERVAL = 60 * 60 * 1000;
+
+let snapshotting = false;
+
+/**
+ * 生成某个命名范围的排名快照（按 token 排名，时区为服务器默认时区）
+ * @param {string} period - daily / weekly
+ * @param {string} rangeName - getNamedRange 支持的命名范围
+ * @param {Date} now - 当前时间
+ * @returns {Promise<{period: string, periodStart: string, users: number}>}
+ */
+export const snapshotRange = async (period, rangeName, now = new Date()) => {
+  const timeZone = getDefaultTimeZone();
+  const { start, end } = getNamedRange(rangeName, timeZone, now);
+  const periodStart = toLocalTime(timeZone, start).toISOString().slice(0, 10);
+
+  const [rankings, overallRanks] = await Promise.all([
+    db.getUserRankings(SNAPSHOT_LIMIT, 'custom', 0, 'tokens', {
+      from: start.toISOString(),
+      to: end ? end.toISOString() : null
+    }),
+    db.getOverallRanks()
+  ]);
+  const overall = new Map(overallRanks.map(row => [row.username, row.rank]));
+
+  await db.saveRankSnapshot(period, periodStart, timeZone, rankings.map((user, index) => ({
+    username: user.username,
+    rank: index + 1,
+    total_tokens: user.total_tokens,
+    total_cost: user.total_cost,
+    session_count: user.session_count,
+    overall_rank: overall.get(user.username) || null
+  })));
+
+  return { period, periodStart, users: rankings.length };
+};
+
+/**
+ * 刷新所有周期的排名快照（上一次尚未完成时跳过）
+ * @param {Date} now - 当前时间
+ * @returns {Promise<Object[]>} 各快照的周期和人数
+ */
+export const snapshotRankings = async (now = new Date()) => {
+  if (snapshotting) return [];
+  snapshotting = true;
+
+  try {
+    const results = [];
+    for (const [period, rangeNames] of Object.entries(SNAPSHOT_PERIODS)) {
+      for (const rangeName of rangeNames) {
+        results.push(await snapshotRange(period, rangeName, now));
+      }
+    }
+    return results;
+  } finally {
+    snapshotting = false;
+  }
+};
+
+/**
+ * 初始化定时快照（启动后执行一次，之后每小时一次）
+ */
+export function initRankSnapshotJob() {
+  const run = () => {
+    snapshotRankings().catch(error => {
+      console.error('Failed to snapshot rankings:', error);
+    });
+  };
+
+  setTimeout(run, 5000);
+  setInterval(run, SNAPSHOT_INTERVAL);
+
+  console.log('Rank snapshot job initialized (updates every hour)');
+}
@@ -0,0 +1,131 @@
+// 时区处理：zone 可以是 IANA 时区名（如 Asia/Shanghai），也可以是固定的偏移分钟数
+// 偏移分钟数与 getTimezoneOffset 相同（UTC+8 为 -480）
+
+const formatters = new Map();
+
+// 未找到夏令时切换记录的查询从这里开始（早于任何使用记录）
+const TRANSITION_SCAN_START = Date.UTC(2020, 0, 1);
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const WEEK = 7 * DAY;
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      timeZoneName: 'longOffset'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * 检查 IANA 时区名是否有效
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 服务器默认时区（DEFAULT_TIMEZONE 环境变量，未设置或无效时为 UTC）
+ * @returns {string}
+ */
+export const getDefaultTimeZone = () => {
+  const timeZone = process.env.DEFAULT_TIMEZONE;
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+};
+
+/**
+ * 某一时刻的时区偏移
+ * @param {string|number} zone - IANA 时区名或固定偏移分钟数
+ * @param {Date} date
+ * @returns {number} 偏移分钟数（与 getTimezoneOffset 相同，UTC+8 为 -480）
+ */
+export const getZoneOffset = (zone, date = new Date()) => {
+  if (typeof zone !== 'string') return zone || 0;
+
+  const name = getFormatter(zone).formatToParts(date).find(part => part.type === 'timeZoneName')?.value || 'GMT';
+  const match = name.match(/^GMT([+-])(\d{2}):(\d{2})$/);
+  if (!match) return 0;
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '+' ? -minutes : minutes;
+};
+
+/**
+ * 某一时刻在时区中的本地时间（用 UTC 方法读取本地的年月日时）
+ * @param {string|number} zone
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const toLocalTime = (zone, date = new Date()) => {
+  return new Date(date.getTime() - getZoneOffset(zone, date) * 60 * 1000);
+};
+
+/**
+ * 本地日期 0 点对应的 UTC 时刻（按当天实际偏移计算，跨夏令时也正确）
+ * 月、日可以越界，按 Date.UTC 的规则进位（如 day 为 0 表示上月最后一天）
+ * @param {number} year
+ * @param {number} month - 从 0 开始
+ * @param {number} day
+ * @param {string|number} zone
+ * @returns {Date}
+ */
+export const localMidnight = (year, month, day, zone) => {
+  const local = Date.UTC(year, month, day);
+  // 先按本地时刻近似的偏移换算，再用换算结果处的偏移修正一次
+  let utc = local + getZoneOffset(zone, new Date(local)) * 60 * 1000;
+  utc = local + getZoneOffset(zone, new Date(utc)) * 60 * 1000;
+  return new Date(utc);
+};
+
+/**
+ * 时间段内时区偏移的分段（夏令时切换点）
+ * @param {string|number} zone
+ * @param {Date|null} start - 为 null 时从 2020 年开始
+ * @param {Date|null} end - 为 null 时到当前时间之后一天
+ * @returns {Array<{until: Date|null, offset: number}>} 每段在 until 之前使用 offset，最后一段 until 为 null
+ */
+export const getOffsetSegments = (zone, start = null, end = null) => {
+  const from = start ? start.getTime() : TRANSITION_SCAN_START;
+  const to = end ? end.getTime() : Date.now() + DAY;
+
+  if (typeof zone !== 'string') {
+    return [{ until: null, offset: zone || 0 }];
+  }
+
+  const segments = [];
+  let current = getZoneOffset(zone, new Date(from));
+
+  // 按周探测偏移变化（各时区相邻两次切换都相隔一周以上），再按分钟二分查找切换时刻
+  for (let probe = from + WEEK; probe < to + WEEK; probe += WEEK) {
+    const offset = getZoneOffset(zone, new Date(probe));
+    if (offset === current) continue;
+
+    let low = Math.floor((probe - WEEK) / MINUTE);
+    let high = Math.ceil(probe / MINUTE);
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (getZoneOffset(zone, new Date(mid * MINUTE)) === current) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const transition = high * MINUTE;
+
+    segments.push({ until: new Date(transition), offset: current });
+    current = offset;
+  }
+
+  segments.push({ until: null, offset: current });
+  return segments;
+};
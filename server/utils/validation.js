@@ -0,0 +1,17 @@
+/**
+ * 验证用户名格式
+ * @param {*} username - 待验证的用户名
+ * @returns {boolean} 是否为 1-50 个字符的字符串
+ */
+export const isValidUsername = (username) => {
+  return typeof username === 'string' && username.length >= 1 && username.length <= 50;
+};
+
+/**
+ * 验证团队名称格式
+ * @param {*} team - 待验证的团队名称
+ * @returns {boolean} 是否为 1-50 个字符的非空白字符串
+ */
+export const isValidTeamName = (team) => {
+  return typeof team === 'string' && team.trim().length >= 1 && team.length <= 50;
+};
@@ -0,0 +1,344 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import db from '../db/database.js';
+import { getDefaultTimeZone, toLocalTime } from './timezone.js';
+
+export const WEBHOOK_EVENTS = ['rank.first', 'usage.daily_threshold', 'budget.alert'];
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'feishu', 'dingtalk'];
+// 测试事件只由管理员手动发送，不可订阅，接收方可据此忽略
+export const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 30; // 重试间隔：30s、60s、120s、240s
+const REQUEST_TIMEOUT = 10000;
+const DISPATCH_INTERVAL = 30 * 1000;
+
+let dispatching = false;
+
+/**
+ * 验证 webhook 订阅
+ * @param {Object} webhook - { url, format, events, secret, daily_token_threshold }
+ * @param {boolean} partial - 是否为部分更新（只校验传入的字段）
+ * @returns {string|null} 错误信息，合法时返回 null
+ */
+export const validateWebhook = (webhook, partial = false) => {
+  if (!webhook || typeof webhook !== 'object') {
+    return 'Webhook must be an object';
+  }
+
+  const { url, format, events, secret, daily_token_threshold: threshold } = webhook;
+
+  if (!partial || url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'url must be an http(s) URL';
+      }
+    } catch {
+      return 'url must be a valid URL';
+    }
+  }
+
+  if (format !== undefined && !WEBHOOK_FORMATS.includes(format)) {
+    return `format must be one of ${WEBHOOK_FORMATS.join(', ')}`;
+  }
+
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 ||
+        events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  if (secret !== undefined && secret !== null && typeof secret !== 'string') {
+    return 'secret must be a string';
+  }
+
+  if (threshold !== undefined && threshold !== null &&
+      (!Number.isInteger(threshold) || threshold <= 0)) {
+    return 'daily_token_threshold must be a positive integer';
+  }
+
+  const subscribesThreshold = (events || []).includes('usage.daily_threshold');
+  if (!partial && subscribesThreshold && !threshold) {
+    return 'daily_token_threshold is required for usage.daily_threshold events';
+  }
+
+  return null;
+};
+
+/**
+ * 隐藏 webhook 密钥，用于接口返回
+ * @param {Object} webhook
+ * @returns {Object}
+ */
+export const toPublicWebhook = (webhook) => {
+  const { secret, ...rest } = webhook;
+  return { ...rest, has_secret: !!secret };
+};
+
+/**
+ * 触发事件：为订阅了该事件的 webhook 加入投递队列
+ * @param {string} event - 事件名称
+ * @param {Object} data - 事件数据
+ * @param {Object} options
+ * @param {string} [options.text] - 聊天类 webhook 显示的消息文本
+ * @param {string} [options.dedupeKey] - 去重键，同一 webhook 相同键只投递一次
+ * @param {(webhook: Object) => boolean} [options.filter] - 额外筛选订阅
+ * @returns {Promise<number>} 新加入队列的投递数
+ */
+export const emitEvent = async (event, data, { text, dedupeKey = null, filter } = {}) => {
+  const webhooks = (await db.getWebhooks())
+    .filter(webhook => webhook.enabled && webhook.events.includes(event))
+    .filter(webhook => !filter || filter(webhook));
+
+  return await queueDeliveries(webhooks, event, data, { text, dedupeKey });
+};
+
+/**
+ * 向单个 webhook 发送测试事件（不要求订阅）
+ * @param {Object} webhook
+ * @returns {Promise<boolean>} 是否加入了投递队列
+ */
+export const emitTestEvent = async (webhook) => {
+  const queued = await queueDeliveries([webhook], TEST_EVENT, { webhook_id: webhook.id }, {
+    text: '✅ Claude Stats webhook 测试消息'
+  });
+  return queued > 0;
+};
+
+/**
+ * 为指定 webhook 加入投递队列，有新投递时立即开始处理
+ * @returns {Promise<number>} 新加入队列的投递数
+ */
+const queueDeliveries = async (webhooks, event, data, { text, dedupeKey = null } = {}) => {
+  const payload = {
+    event,
+    timestamp: new Date().toISOString(),
+    text: text || event,
+    data
+  };
+
+  let queued = 0;
+  for (const webhook of webhooks) {
+    if (await db.enqueueWebhookDelivery({ webhook_id: webhook.id, event, dedupe_key: dedupeKey, payload })) {
+      queued++;
+    }
+  }
+
+  // 有新投递时立即处理，不等待定时任务
+  if (queued > 0) {
+    processDeliveryQueue().catch(error => {
+      console.error('Failed to process webhook deliveries:', error);
+    });
+  }
+
+  return queued;
+};
+
+/**
+ * 按 webhook 格式生成请求体
+ * @param {Object} webhook
+ * @param {Object} payload - { event, timestamp, text, data }
+ * @returns {Object}
+ */
+export const formatWebhookBody = (webhook, payload) => {
+  switch (webhook.format) {
+    case 'slack':
+      return { text: payload.text };
+    case 'feishu': {
+      const body = { msg_type: 'text', content: { text: payload.text } };
+      if (webhook.secret) {
+        // 飞书签名校验：以 timestamp + "\n" + secret 为密钥对空串做 HMAC-SHA256
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        body.timestamp = timestamp;
+        body.sign = crypto.createHmac('sha256', `${timestamp}\n${webhook.secret}`).update('').digest('base64');
+      }
+      return body;
+    }
+    case 'dingtalk':
+      return { msgtype: 'text', text: { content: payload.text } };
+    case 'generic':
+    default:
+      return payload;
+  }
+};
+
+/**
+ * 生成请求 URL（钉钉加签需要把签名放在查询参数中）
+ * @param {Object} webhook
+ * @returns {string}
+ */
+const getDeliveryUrl = (webhook) => {
+  if (webhook.format !== 'dingtalk' || !webhook.secret) {
+    return webhook.url;
+  }
+
+  const timestamp = Date.now().toString();
+  const sign = crypto.createHmac('sha256', webhook.secret)
+    .update(`${timestamp}\n${webhook.secret}`)
+    .digest('base64');
+  const url = new URL(webhook.url);
+  url.searchParams.set('timestamp', timestamp);
+  url.searchParams.set('sign', sign);
+  return url.toString();
+};
+
+/**
+ * 投递单条记录
+ * 设置了 secret 时在 X-Claude-Stats-Signature 头中携带请求体的 HMAC-SHA256 签名
+ * @returns {Promise<{ok: boolean, status: number|null, error: string|null}>}
+ */
+const deliver = async (webhook, delivery) => {
+  const body = JSON.stringify(formatWebhookBody(webhook, delivery.payload));
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'claude-stats-webhook',
+    'X-Claude-Stats-Event': delivery.event,
+    'X-Claude-Stats-Delivery': String(delivery.id)
+  };
+
+  if (webhook.secret) {
+    const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+    headers['X-Claude-Stats-Signature'] = `sha256=${signature}`;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(getDeliveryUrl(webhook), {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal
+    });
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'AbortError' ? 'Request timeout' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * 处理到期的投递，失败时按指数退避重试，超过最大次数后标记为失败
+ */
+export const processDeliveryQueue = async () => {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    let deliveries;
+    while ((deliveries = await db.getDueWebhookDeliveries()).length > 0) {
+      for (const delivery of deliveries) {
+        const webhook = await db.getWebhook(delivery.webhook_id);
+        const attempts = delivery.attempts + 1;
+
+        if (!webhook || !webhook.enabled) {
+          await db.updateWebhookDelivery(delivery.id, {
+            status: 'failed',
+            attempts: delivery.attempts,
+            error: 'Webhook disabled or deleted'
+          });
+          continue;
+        }
+
+        const result = await deliver(webhook, delivery);
+
+        if (result.ok) {
+          await db.updateWebhookDelivery(delivery.id, {
+            status: 'delivered',
+            attempts,
+            responseStatus: result.status
+          });
+        } else {
+          const exhausted = attempts >= MAX_ATTEMPTS;
+          await db.updateWebhookDelivery(delivery.id, {
+            status: exhausted ? 'failed' : 'pending',
+            attempts,
+            responseStatus: result.status,
+            error: result.error,
+            retryDelaySeconds: exhausted ? null : RETRY_BASE_SECONDS * Math.pow(2, attempts - 1)
+          });
+          console.warn(`Webhook ${webhook.id} delivery ${delivery.id} failed (attempt ${attempts}):`, result.error);
+        }
+      }
+    }
+  } finally {
+    dispatching = false;
+  }
+};
+
+const formatTokens = (tokens) => Number(tokens || 0).toLocaleString('en-US');
+
+/**
+ * 排行榜第一名易主时触发 rank.first
+ * @param {Object|null} previousLeader - 提交前的第一名
+ */
+export const emitRankChange = async (previousLeader) => {
+  const leader = await db.getRankingLeader();
+  if (!leader || leader.username === previousLeader?.username) return;
+
+  const overtaken = previousLeader ? `，超过 ${previousLeader.username}` : '';
+  await emitEvent('rank.first', {
+    username: leader.username,
+    total_tokens: leader.total_usage,
+    total_cost: leader.total_cost,
+    previous: previousLeader?.username || null
+  }, {
+    text: `🏆 ${leader.username} 登上排行榜第一名（累计 ${formatTokens(leader.total_usage)} token）${overtaken}`
+  });
+};
+
+/**
+ * 日统计汇总后检查团队当日用量，超过订阅阈值时触发 usage.daily_threshold（每天每个订阅一次）
+ * @param {string} date - 服务器默认时区的日期 YYYY-MM-DD，与 daily_stats 一致（通常为 updateDailyStats 的返回值）
+ */
+export const emitDailyUsageThresholds = async (date = toLocalTime(getDefaultTimeZone()).toISOString().slice(0, 10)) => {
+  const usage = await db.getDailyTeamUsage(date);
+
+  await emitEvent('usage.daily_threshold', {
+    date,
+    total_tokens: usage.total_tokens,
+    user_count: usage.user_count
+  }, {
+    text: `📈 ${date} 团队 token 用量已达 ${formatTokens(usage.total_tokens)}（${usage.user_count} 位用户）`,
+    dedupeKey: `usage.daily_threshold:${date}`,
+    filter: webhook => webhook.daily_token_threshold && usage.total_tokens >= webhook.daily_token_threshold
+  });
+};
+
+/**
+ * 预算告警触发 budget.alert
+ * @param {Object[]} alerts - evaluateBudgets 新产生的告警
+ */
+export const emitBudgetAlerts = async (alerts) => {
+  const periodNames = { daily: '今日', weekly: '本周', monthly: '本月' };
+
+  for (const alert of alerts) {
+    const scope = alert.username ? `${alert.username} ` : '团队';
+    const state = alert.threshold >= 100 ? '已超出' : `已使用 ${alert.threshold}%`;
+    await emitEvent('budget.alert', alert, {
+      text: `⚠️ ${scope}${periodNames[alert.period]}预算${state}：$${alert.spent.toFixed(2)} / $${alert.limit_usd.toFixed(2)}`,
+      dedupeKey: `budget.alert:${alert.budget_id}:${alert.period_start}:${alert.threshold}`
+    });
+  }
+};
+
+/**
+ * 初始化定时投递（处理需要重试的记录）
+ */
+export function initWebhookDispatcher() {
+  setInterval(() => {
+    processDeliveryQueue().catch(error => {
+      console.error('Failed to process webhook deliveries:', error);
+    });
+  }, DISPATCH_INTERVAL);
+
+  console.log('Webhook dispatcher initialized');
+}